@@ -10,12 +10,93 @@
     // BUNDLED YAML PARSER (Minimal implementation)
     // ============================================
     const YamlParser = {
+        // Parses a stream of one or more documents separated by "---" / "...".
+        // data, anchors and ast describe the first document; documents holds
+        // every document, and each error carries the index of its document.
         parse: function(text) {
             const lines = text.split('\n');
+            const errors = [];
+            const documents = this.splitDocuments(lines).map((range, index) => {
+                const doc = this.parseDocument(lines, range);
+                if (range.marker !== undefined) {
+                    const after = lines[range.marker].slice(3).trim();
+                    if (after !== '' && !after.startsWith('#')) {
+                        doc.errors.unshift({
+                            line: range.marker + 1,
+                            message: 'Content after "---" is not supported, start the document on the next line',
+                            column: lines[range.marker].indexOf(after) + 1,
+                            severity: 'error'
+                        });
+                    }
+                }
+                doc.errors.forEach(e => {
+                    e.document = index;
+                    e.rule = e.rule || 'yaml-syntax';
+                });
+                errors.push(...doc.errors);
+                return Object.assign(doc, {
+                    index,
+                    startLine: range.start + 1,
+                    endLine: range.end,
+                    text: lines.slice(range.start, range.end).join('\n')
+                });
+            });
+            const first = documents[0];
+
+            return { data: first.data, errors, anchors: first.anchors, ast: first.ast, documents };
+        },
+
+        isDocumentMarker: function(line) {
+            return /^(---|\.\.\.)(\s|$)/.test(line);
+        },
+
+        // Splits lines into document ranges: start is the first line of the
+        // document (0-based), end is exclusive, marker is the "---" line if any.
+        // Comments before the first "---" do not form a document of their own.
+        splitDocuments: function(lines) {
+            const ranges = [];
+            let current = { start: 0, explicit: false, hasContent: false };
+
+            for (let i = 0; i < lines.length; i++) {
+                const line = lines[i];
+                if (this.isDocumentMarker(line)) {
+                    if (current) {
+                        current.end = i;
+                        ranges.push(current);
+                    }
+                    current = line.startsWith('---')
+                        ? { start: i + 1, marker: i, explicit: true, hasContent: false }
+                        : null;
+                    continue;
+                }
+                const trimmed = line.trim();
+                if (trimmed === '' || trimmed.startsWith('#')) continue;
+                // Content after "..." implicitly starts the next document
+                if (!current) current = { start: i, explicit: false, hasContent: false };
+                current.hasContent = true;
+            }
+            if (current) {
+                current.end = lines.length;
+                ranges.push(current);
+            }
+
+            const documents = ranges.filter(r => r.explicit || r.hasContent);
+            return documents.length > 0 ? documents : [{ start: 0, end: lines.length }];
+        },
+
+        // Parses the lines of one document. Lines outside the range are blanked
+        // so positions stay relative to the whole text.
+        parseDocument: function(allLines, range) {
+            const lines = allLines.slice(0, range.end).map((line, i) => (i < range.start ? '' : line));
             const result = {};
-            // Stack stores the current context: obj is the object we're adding to
-            const stack = [{ indent: -1, obj: result, key: 'root' }];
+            const root = this.createNode('mapping', result, Math.min(range.start + 1, allLines.length), 1);
+            // Stack stores the current context: obj is the object we're adding to,
+            // node is its AST node
+            const stack = [{ indent: -1, obj: result, node: root, key: 'root' }];
             let errors = [];
+            // Shared with the flow parser: anchors by name, pending << merges and
+            // the stack, whose collections are still being read
+            const ctx = { errors, anchors: {}, merges: [], stack };
             let lineNum = 0;
             let indentUnit = 0; // Detected indentation unit (usually 2)
             let lastIndent = 0;
@@ -87,39 +168,40 @@
                 // Handle list items
                 if (trimmed.startsWith('- ')) {
                     const value = trimmed.slice(2).trim();
+                    const valueCol = line.indexOf(value, indent + 1);
 
                     // Ensure target is an array
                     if (!Array.isArray(target)) continue;
 
-                    // Check if it's a quoted string (don't parse as key:value)
-                    const isQuoted = (value.startsWith('"') && value.endsWith('"')) ||
-                                    (value.startsWith("'") && value.endsWith("'"));
+                    // Anchors, aliases, flow collections and block scalars are
+                    // single values, not key: value pairs
+                    const isNode = /^[&*[{|>]/.test(value);
+                    const colonIdx = isNode ? -1 : this.findMappingColon(value);
 
-                    if (value === '' || (!isQuoted && value.includes(':'))) {
-                        // List item with nested object
-                        if (value === '') {
-                            // Block style: - \n  key: value
+                    if (colonIdx > 0) {
+                        // Inline: - key: value (further keys follow at the key's column)
+                        const obj = {};
+                        const node = this.createNode('mapping', obj, lineNum, valueCol + 1);
+                        target.push(obj);
+                        parent.node.items.push(node);
+                        stack.push({ indent: indent, obj: obj, node: node });
+                        lineIdx = this.parsePair(lines, lineIdx, valueCol, stack, ctx);
+                        lastIndent = valueCol;
+                    } else {
+                        const inline = this.parseInlineValue(value, lines, lineIdx, valueCol, indent, ctx);
+                        if (inline.empty) {
+                            // Block style: - &anchor \n  key: value
                             const obj = {};
+                            const node = this.createNode('mapping', obj, lineNum, valueCol + 1);
+                            this.registerAnchor(ctx, inline.anchor, obj, node, lineNum);
                             target.push(obj);
-                            stack.push({ indent: indent, obj: obj });
+                            parent.node.items.push(node);
+                            stack.push({ indent: indent, obj: obj, node: node });
                         } else {
-                            // Inline: - key: value
-                            const colonIdx = value.indexOf(':');
-                            const key = value.slice(0, colonIdx).trim();
-                            const val = value.slice(colonIdx + 1).trim();
-                            const obj = {};
-                            if (val === '') {
-                                obj[key] = {};
-                                target.push(obj);
-                                stack.push({ indent: indent, obj: obj[key] });
-                            } else {
-                                obj[key] = this.parseValue(val);
-                                target.push(obj);
-                            }
+                            target.push(inline.value);
+                            parent.node.items.push(inline.node);
+                            lineIdx = inline.endLine;
                         }
-                    } else {
-                        // Simple value
-                        target.push(this.parseValue(value));
                     }
                     continue;
                 }
@@ -128,72 +210,744 @@
                 if (trimmed === '-') {
                     if (Array.isArray(target)) {
                         const obj = {};
+                        const node = this.createNode('mapping', obj, lineNum, indent + 1);
                         target.push(obj);
-                        stack.push({ indent: indent, obj: obj });
+                        parent.node.items.push(node);
+                        stack.push({ indent: indent, obj: obj, node: node });
                     }
                     continue;
                 }
 
                 // Handle key: value pairs
-                const colonIdx = trimmed.indexOf(':');
-                if (colonIdx > 0) {
-                    const key = trimmed.slice(0, colonIdx).trim();
-                    const valueStr = trimmed.slice(colonIdx + 1).trim();
-
-                    // Determine if next line indicates array or nested object
-                    let nextIndent = -1;
-                    let nextIsArray = false;
-                    for (let i = lineIdx + 1; i < lines.length; i++) {
-                        const nextLine = lines[i];
-                        const nextTrimmed = nextLine.trim();
-                        if (nextTrimmed === '' || nextTrimmed.startsWith('#')) continue;
-                        nextIndent = nextLine.search(/\S/);
-                        nextIsArray = nextTrimmed.startsWith('-');
-                        break;
+                const colonIdx = this.findMappingColon(trimmed);
+                if (colonIdx > 0 && Array.isArray(target)) {
+                    errors.push({
+                        line: lineNum,
+                        message: 'Mapping key found but parent is a list. Check indentation.',
+                        column: indent + 1,
+                        severity: 'error'
+                    });
+                } else if (colonIdx > 0) {
+                    lineIdx = this.parsePair(lines, lineIdx, indent, stack, ctx);
+                } else if (colonIdx === -1 && !trimmed.startsWith('-')) {
+                    // Bare value (shouldn't normally happen in valid YAML)
+                    errors.push({ line: lineNum, message: 'Invalid YAML syntax', column: indent + 1, severity: 'error' });
+                }
+            }
+
+            this.applyMerges(ctx);
+            this.finalizeNode(root);
+
+            return { data: result, errors, anchors: ctx.anchors, ast: root };
+        },
+
+        // Parses the "key: value" pair starting at column keyCol of line lineIdx
+        // into the mapping on top of the stack. Nested blocks are pushed with the
+        // key's column as their indent. Returns the last line index consumed.
+        parsePair: function(lines, lineIdx, keyCol, stack, ctx) {
+            const line = lines[lineIdx];
+            const lineNum = lineIdx + 1;
+            const { obj: target, node: targetNode } = stack[stack.length - 1];
+            const text = line.slice(keyCol);
+            const colonIdx = this.findMappingColon(text);
+
+            const rawKey = text.slice(0, colonIdx).trim();
+            const key = String(this.unquoteKey(rawKey));
+            const keyNode = this.createNode('scalar', key, lineNum, keyCol + 1);
+            keyNode.end = { line: lineNum, column: keyCol + rawKey.length + 1 };
+
+            const valueStr = text.slice(colonIdx + 1).trim();
+            const valueCol = valueStr === '' ? line.length : line.indexOf(valueStr, keyCol + colonIdx + 1);
+
+            // Determine if next line indicates array or nested object
+            let nextIndent = -1;
+            let nextLineNum = -1;
+            let nextIsArray = false;
+            for (let i = lineIdx + 1; i < lines.length; i++) {
+                const nextLine = lines[i];
+                const nextTrimmed = nextLine.trim();
+                if (nextTrimmed === '' || nextTrimmed.startsWith('#')) continue;
+                nextIndent = nextLine.search(/\S/);
+                nextLineNum = i + 1;
+                nextIsArray = nextTrimmed.startsWith('-');
+                break;
+            }
+
+            const inline = this.parseInlineValue(valueStr, lines, lineIdx, valueCol, keyCol, ctx);
+            if (!inline.empty) {
+                this.setMappingValue(ctx, target, targetNode, keyNode, inline.node);
+                return inline.endLine;
+            }
+
+            // Empty value - could be object or array
+            let value = null;
+            let node = this.createNode('scalar', null, lineNum, valueCol + 1);
+            node.style = 'plain';
+            if (nextIndent > keyCol) {
+                value = nextIsArray ? [] : {};
+                node = this.createNode(nextIsArray ? 'sequence' : 'mapping', value, nextLineNum, nextIndent + 1);
+                stack.push({ indent: keyCol, obj: value, node: node });
+            }
+            this.registerAnchor(ctx, inline.anchor, value, node, lineNum);
+            this.setMappingValue(ctx, target, targetNode, keyNode, node);
+            return lineIdx;
+        },
+
+        // Returns the index of the ':' that separates a mapping key from its
+        // value (followed by whitespace or the end of the line), or -1
+        findMappingColon: function(str) {
+            let start = 0;
+            if (str.startsWith('"') || str.startsWith("'")) {
+                const close = this.closingQuote(str);
+                if (close === -1) return -1;
+                start = close + 1;
+            }
+            for (let i = start; i < str.length; i++) {
+                if (str[i] === '#' && i > 0 && /\s/.test(str[i - 1])) return -1;
+                if (str[i] === ':' && (i + 1 === str.length || /\s/.test(str[i + 1]))) return i;
+            }
+            return -1;
+        },
+
+        // Index of the quote that closes the quoted scalar str starts with,
+        // skipping \" in double and '' in single quotes, or -1
+        closingQuote: function(str) {
+            const quote = str[0];
+            for (let i = 1; i < str.length; i++) {
+                if (quote === '"' && str[i] === '\\') {
+                    i++;
+                } else if (str[i] === quote) {
+                    if (quote === "'" && str[i + 1] === "'") {
+                        i++;
+                        continue;
                     }
+                    return i;
+                }
+            }
+            return -1;
+        },
 
-                    if (valueStr === '' || valueStr === '|' || valueStr === '>' || valueStr === '|-' || valueStr === '>-') {
-                        // Empty value - could be object, array, or multiline string
-                        if (nextIndent > indent) {
-                            if (nextIsArray) {
-                                target[key] = [];
-                                stack.push({ indent: indent, obj: target[key] });
-                            } else {
-                                target[key] = {};
-                                stack.push({ indent: indent, obj: target[key] });
-                            }
-                        } else {
-                            // No nested content, treat as empty/null
-                            target[key] = valueStr === '' ? null : '';
+        unquoteKey: function(rawKey) {
+            if ((rawKey.startsWith('"') && rawKey.endsWith('"') && rawKey.length > 1) ||
+                (rawKey.startsWith("'") && rawKey.endsWith("'") && rawKey.length > 1)) {
+                return this.unquote(rawKey.slice(1, -1), rawKey[0]);
+            }
+            return rawKey;
+        },
+
+        // AST nodes: mapping (pairs of { key, value } nodes), sequence (items),
+        // scalar (with quoting style, and the source text of plain scalars in
+        // raw) and alias. start/end are 1-based
+        // { line, column }; end points just past the node's last character.
+        createNode: function(type, value, line, column) {
+            const node = { type, value, start: { line, column }, end: { line, column } };
+            if (type === 'mapping') node.pairs = [];
+            if (type === 'sequence') node.items = [];
+            return node;
+        },
+
+        // Extends block collections to cover their last child
+        finalizeNode: function(node, seen = new Set()) {
+            if (!node || seen.has(node)) return node;
+            seen.add(node);
+            const children = node.type === 'mapping'
+                ? node.pairs.filter(p => !p.merged).map(p => p.value)
+                : node.type === 'sequence' ? node.items : [];
+            for (const child of children) {
+                this.finalizeNode(child, seen);
+                if (!node.flow && this.comparePos(child.end, node.end) > 0) {
+                    node.end = { line: child.end.line, column: child.end.column };
+                }
+            }
+            return node;
+        },
+
+        comparePos: function(a, b) {
+            return a.line !== b.line ? a.line - b.line : a.column - b.column;
+        },
+
+        // Looks up the pair (or sequence item) at path, following aliases.
+        // Returns one { key, value } entry per path segment that was found; the
+        // last entry is the deepest existing node.
+        findNodePath: function(ast, path) {
+            const found = [];
+            let node = ast;
+            for (const segment of path) {
+                while (node && node.type === 'alias') node = node.target;
+                if (!node) break;
+                let entry = null;
+                if (node.type === 'mapping') {
+                    // The last occurrence of a key is the one that takes effect
+                    for (const pair of node.pairs) {
+                        if (pair.key.value === String(segment) && (!entry || !pair.merged)) {
+                            entry = pair;
                         }
-                    } else if (valueStr === '[]') {
-                        target[key] = [];
-                    } else if (valueStr === '{}') {
-                        target[key] = {};
-                    } else {
-                        target[key] = this.parseValue(valueStr);
                     }
-                } else if (colonIdx === -1 && !trimmed.startsWith('-')) {
-                    // Bare value (shouldn't normally happen in valid YAML)
-                    errors.push({ line: lineNum, message: 'Invalid YAML syntax', column: 1 });
+                } else if (node.type === 'sequence' && node.items[segment]) {
+                    entry = { key: null, value: node.items[segment] };
                 }
+                if (!entry) break;
+                found.push(entry);
+                node = entry.value;
             }
+            return found;
+        },
 
-            return { data: result, errors };
+        findNode: function(ast, path) {
+            const found = this.findNodePath(ast, path);
+            return found.length === path.length ? (found[found.length - 1] || { key: null, value: ast }) : null;
         },
 
         parseValue: function(str) {
             if (str === 'true' || str === 'True' || str === 'TRUE') return true;
             if (str === 'false' || str === 'False' || str === 'FALSE') return false;
             if (str === 'null' || str === 'Null' || str === 'NULL' || str === '~') return null;
+            // A leading 0 (YAML 1.1) or 0o (YAML 1.2) makes an octal number,
+            // as for Compose: "mode: 0440" is 288
+            if (/^0o?[0-7]+$/.test(str)) return parseInt(str.replace(/^0o?/, ''), 8);
             if (/^-?\d+$/.test(str)) return parseInt(str, 10);
             if (/^-?\d+\.\d+$/.test(str)) return parseFloat(str);
-            if ((str.startsWith('"') && str.endsWith('"')) || (str.startsWith("'") && str.endsWith("'"))) {
-                return str.slice(1, -1);
+            if (str.length > 1 && ((str.startsWith('"') && str.endsWith('"')) || (str.startsWith("'") && str.endsWith("'")))) {
+                return this.unquote(str.slice(1, -1), str[0]);
             }
             return str;
         },
 
+        // Escape sequences of double-quoted scalars besides \xXX and \uXXXX
+        escapes: { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '0': '\0', '"': '"', '\\': '\\', '/': '/', ' ': ' ' },
+
+        // The value of a quoted scalar's text between its quotes
+        unquote: function(body, quote) {
+            if (quote === "'") return body.replace(/''/g, "'");
+            return body.replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|[\s\S])?/g, (match, esc) => {
+                if (esc === undefined) return '';
+                if (esc.length > 1) return String.fromCharCode(parseInt(esc.slice(1), 16));
+                return esc in this.escapes ? this.escapes[esc] : esc;
+            });
+        },
+
+        // Splits a single-line scalar from a trailing comment and reports its
+        // quoting style
+        splitScalar: function(str) {
+            if (str.startsWith('"') || str.startsWith("'")) {
+                const close = this.closingQuote(str);
+                const rest = close === -1 ? null : str.slice(close + 1).trim();
+                if (rest === '' || (rest && rest.startsWith('#'))) {
+                    return { raw: str.slice(0, close + 1), style: str[0] === '"' ? 'double' : 'single' };
+                }
+                return { raw: str, style: 'plain' };
+            }
+            const comment = str.search(/\s#/);
+            return { raw: comment === -1 ? str : str.slice(0, comment).trim(), style: 'plain' };
+        },
+
+        // Parses the value part of a "key: value" or "- value" line: an optional
+        // &anchor followed by an *alias, block scalar, flow collection or plain
+        // scalar. Returns { empty: true, anchor } when the node continues as an
+        // indented block, otherwise { value, node, endLine }.
+        parseInlineValue: function(valueStr, lines, lineIdx, column, ownerIndent, ctx) {
+            const lineNum = lineIdx + 1;
+            let anchor = null;
+            const anchorMatch = valueStr.match(/^&([^\s,[\]{}]+)\s*/);
+            if (anchorMatch) {
+                anchor = anchorMatch[1];
+                valueStr = valueStr.slice(anchorMatch[0].length);
+                column += anchorMatch[0].length;
+            }
+
+            let node;
+            let endLine = lineIdx;
+            if (valueStr === '' || valueStr.startsWith('#')) {
+                return { empty: true, anchor };
+            } else if (this.parseBlockHeader(valueStr)) {
+                // Literal (|) or folded (>) block scalar
+                const block = this.parseBlockScalar(lines, lineIdx, valueStr, ownerIndent);
+                node = this.createNode('scalar', block.value, lineNum, column + 1);
+                node.style = this.parseBlockHeader(valueStr).style;
+                node.end = block.end;
+                endLine = block.endLine;
+            } else if (valueStr.startsWith('[') || valueStr.startsWith('{')) {
+                // Flow collection, possibly spanning several lines
+                const flow = this.parseFlow(lines, lineIdx, column, ownerIndent, ctx);
+                node = flow.node;
+                endLine = flow.endLine;
+            } else if (/^\*[^\s,[\]{}]+\s*(#.*)?$/.test(valueStr)) {
+                const name = valueStr.match(/^\*([^\s,[\]{}]+)/)[1];
+                node = this.resolveAlias(ctx, name, lineNum, column + 1);
+            } else {
+                const scalar = this.splitScalar(valueStr);
+                node = this.createNode('scalar', this.parseValue(scalar.raw), lineNum, column + 1);
+                node.style = scalar.style;
+                if (scalar.style === 'plain') node.raw = scalar.raw;
+                node.end = { line: lineNum, column: column + scalar.raw.length + 1 };
+            }
+
+            this.registerAnchor(ctx, anchor, node.value, node, lineNum);
+            return { empty: false, value: node.value, node, endLine };
+        },
+
+        registerAnchor: function(ctx, name, value, node, line) {
+            if (!name) return;
+            node.anchor = name;
+            if (ctx.anchors[name]) {
+                ctx.errors.push({
+                    line,
+                    column: node.start.column,
+                    message: `Duplicate anchor "&${name}" (previously defined on line ${ctx.anchors[name].line})`,
+                    severity: 'error',
+                    rule: 'duplicate-anchor'
+                });
+            }
+            // Later aliases refer to the most recent definition
+            ctx.anchors[name] = { value, node, line };
+        },
+
+        // Returns an alias node whose value is the anchored value (null when the
+        // anchor is undefined or the alias is inside it)
+        resolveAlias: function(ctx, name, line, column) {
+            const node = this.createNode('alias', null, line, column);
+            node.name = name;
+            node.end = { line, column: column + name.length + 1 };
+            if (!ctx.anchors[name]) {
+                ctx.errors.push({
+                    line,
+                    column,
+                    message: `Undefined alias "*${name}"`,
+                    severity: 'error',
+                    rule: 'undefined-alias'
+                });
+                return node;
+            }
+            // An alias inside its own anchored collection would make it contain itself
+            if (ctx.stack && ctx.stack.some(entry => entry.node === ctx.anchors[name].node)) {
+                ctx.errors.push({
+                    line,
+                    column,
+                    message: `Alias "*${name}" refers to its own anchor`,
+                    severity: 'error',
+                    rule: 'undefined-alias'
+                });
+                return node;
+            }
+            node.value = ctx.anchors[name].value;
+            node.target = ctx.anchors[name].node;
+            return node;
+        },
+
+        // Adds a key/value pair to a mapping, deferring "<<" merge keys until the
+        // whole document is read so merged mappings are complete and explicit
+        // keys win
+        setMappingValue: function(ctx, target, mapNode, keyNode, valueNode) {
+            if (keyNode.value === '<<') {
+                ctx.merges.push({ target, mapNode, keyNode, valueNode });
+            } else {
+                // The later value wins, as in most YAML loaders; flag both keys
+                const previous = mapNode.pairs.filter(p => p.key.value === keyNode.value).pop();
+                if (previous) {
+                    ctx.errors.push({
+                        line: previous.key.start.line,
+                        column: previous.key.start.column,
+                        message: `Duplicate key "${keyNode.value}": this value is overridden by the later definition on line ${keyNode.start.line}`,
+                        severity: 'error',
+                        rule: 'duplicate-key'
+                    });
+                    ctx.errors.push({
+                        line: keyNode.start.line,
+                        column: keyNode.start.column,
+                        message: `Duplicate key "${keyNode.value}": this value replaces the earlier definition on line ${previous.key.start.line}`,
+                        severity: 'error',
+                        rule: 'duplicate-key'
+                    });
+                }
+                target[keyNode.value] = valueNode.value;
+                mapNode.pairs.push({ key: keyNode, value: valueNode });
+            }
+        },
+
+        applyMerges: function(ctx) {
+            for (const merge of ctx.merges) {
+                let sourceNodes = [merge.valueNode];
+                const resolved = merge.valueNode.type === 'alias' ? merge.valueNode.target : merge.valueNode;
+                if (resolved && resolved.type === 'sequence') {
+                    sourceNodes = resolved.items;
+                }
+                for (const sourceNode of sourceNodes) {
+                    const source = sourceNode.value;
+                    if (source === null && sourceNode.type === 'alias') continue; // Undefined alias, already reported
+                    if (!source || typeof source !== 'object' || Array.isArray(source)) {
+                        ctx.errors.push({
+                            line: merge.keyNode.start.line,
+                            column: merge.keyNode.start.column,
+                            message: 'Merge key "<<" expects a mapping or a list of mappings',
+                            severity: 'error'
+                        });
+                        continue;
+                    }
+                    let sourceMap = sourceNode;
+                    while (sourceMap && sourceMap.type === 'alias') sourceMap = sourceMap.target;
+                    // Earlier sources and explicit keys take precedence
+                    for (const [key, value] of Object.entries(source)) {
+                        if (key in merge.target) continue;
+                        merge.target[key] = value;
+                        const sourcePair = sourceMap && sourceMap.pairs
+                            ? sourceMap.pairs.find(p => p.key.value === key)
+                            : null;
+                        // Merged pairs report the << key but keep the source value node
+                        const keyNode = this.createNode('scalar', key, merge.keyNode.start.line, merge.keyNode.start.column);
+                        keyNode.end = merge.keyNode.end;
+                        merge.mapNode.pairs.push({
+                            key: keyNode,
+                            value: sourcePair ? sourcePair.value : merge.valueNode,
+                            merged: true
+                        });
+                    }
+                }
+            }
+        },
+
+        // Parses a block scalar header such as |, >-, |+ or >2- (an optional
+        // comment may follow). Returns null when str is not a header.
+        parseBlockHeader: function(str) {
+            const match = str.match(/^([|>])([1-9])?([+-])?([1-9])?(?:\s+#.*)?$/);
+            if (!match || (match[2] && match[4])) return null;
+            return {
+                style: match[1] === '|' ? 'literal' : 'folded',
+                chomping: match[3] === '-' ? 'strip' : match[3] === '+' ? 'keep' : 'clip',
+                indent: parseInt(match[2] || match[4], 10) || 0
+            };
+        },
+
+        // Reads the block scalar whose header sits on line lineIdx. parentIndent is
+        // the indentation of the owning key or list item; content must be indented
+        // deeper. Returns the string value, the index of the last line consumed and
+        // the end position of the last content line.
+        parseBlockScalar: function(lines, lineIdx, headerStr, parentIndent) {
+            const header = this.parseBlockHeader(headerStr);
+            let contentIndent = header.indent ? parentIndent + header.indent : 0;
+            const body = [];
+            let endLine = lineIdx;
+            let end = { line: lineIdx + 1, column: lines[lineIdx].trimEnd().length + 1 };
+
+            for (let i = lineIdx + 1; i < lines.length; i++) {
+                const line = lines[i];
+                // The empty string after a trailing newline is not a line of its own
+                if (i === lines.length - 1 && line === '') break;
+
+                if (line.trim() === '') {
+                    body.push(line.length > contentIndent && contentIndent > 0 ? line.slice(contentIndent) : '');
+                    endLine = i;
+                    continue;
+                }
+
+                const lineIndent = line.search(/\S/);
+                if (contentIndent === 0) {
+                    // Auto-detect indentation from the first non-empty line
+                    if (lineIndent <= parentIndent) break;
+                    contentIndent = lineIndent;
+                }
+                if (lineIndent < contentIndent) break;
+
+                body.push(line.slice(contentIndent));
+                endLine = i;
+                end = { line: i + 1, column: line.length + 1 };
+            }
+
+            // Trailing empty lines only matter for chomping
+            let trailing = 0;
+            while (body.length > 0 && body[body.length - 1].trim() === '') {
+                body.pop();
+                trailing++;
+            }
+
+            let value;
+            if (header.style === 'literal') {
+                value = body.join('\n');
+            } else {
+                value = '';
+                let breaks = 0;
+                let prevMoreIndented = false;
+                body.forEach((text, idx) => {
+                    if (text === '') {
+                        breaks++;
+                        return;
+                    }
+                    // More-indented lines keep their line breaks
+                    const moreIndented = /^[ \t]/.test(text);
+                    if (value === '' && idx === breaks) {
+                        value += '\n'.repeat(breaks);
+                    } else if (breaks === 0) {
+                        value += (moreIndented || prevMoreIndented) ? '\n' : ' ';
+                    } else {
+                        value += '\n'.repeat(breaks + ((moreIndented || prevMoreIndented) ? 1 : 0));
+                    }
+                    value += text;
+                    breaks = 0;
+                    prevMoreIndented = moreIndented;
+                });
+            }
+
+            if (body.length > 0 && header.chomping !== 'strip') {
+                value += '\n';
+            }
+            if (header.chomping === 'keep') {
+                value += '\n'.repeat(trailing);
+            }
+
+            return { value, endLine, end };
+        },
+
+        // Parses a flow collection ([...] or {...}) starting at the given 0-based
+        // line index and column. Continuation lines must be indented deeper than
+        // blockIndent. Returns the parsed value and node and the index of the last
+        // line used.
+        parseFlow: function(lines, lineIdx, column, blockIndent, ctx) {
+            const errors = ctx.errors;
+            const scanner = { lines, line: lineIdx, col: column, blockIndent, ctx, errors, failed: false };
+            const node = this.parseFlowNode(scanner);
+
+            // Only a comment may follow the closing bracket
+            if (!scanner.failed && scanner.line < lines.length) {
+                const rest = lines[scanner.line].slice(scanner.col);
+                const restTrimmed = rest.trim();
+                if (restTrimmed !== '' && !restTrimmed.startsWith('#')) {
+                    errors.push({
+                        line: scanner.line + 1,
+                        column: scanner.col + rest.search(/\S/) + 1,
+                        message: 'Unexpected content after flow collection',
+                        severity: 'error'
+                    });
+                }
+            }
+
+            return { value: node.value, node, endLine: Math.min(scanner.line, lines.length - 1) };
+        },
+
+        flowPeek: function(s) {
+            if (s.line >= s.lines.length) return null;
+            const line = s.lines[s.line];
+            return s.col < line.length ? line[s.col] : '\n';
+        },
+
+        flowNextLine: function(s) {
+            // Flow content may continue on the next line only if it is indented
+            // deeper than the surrounding block; otherwise treat it as the end
+            let next = s.line + 1;
+            while (next < s.lines.length && s.lines[next].trim() === '') next++;
+            if (next >= s.lines.length || s.lines[next].search(/\S/) <= s.blockIndent) {
+                return false;
+            }
+            s.line = next;
+            s.col = 0;
+            return true;
+        },
+
+        skipFlowSpace: function(s) {
+            for (;;) {
+                const ch = this.flowPeek(s);
+                if (ch === ' ' || ch === '\t') {
+                    s.col++;
+                } else if (ch === '#' && (s.col === 0 || /\s/.test(s.lines[s.line][s.col - 1]))) {
+                    s.col = s.lines[s.line].length;
+                } else if (ch === '\n') {
+                    if (!this.flowNextLine(s)) return null;
+                } else {
+                    return ch;
+                }
+            }
+        },
+
+        flowError: function(s, message, line, col) {
+            s.failed = true;
+            s.errors.push({
+                line: (line === undefined ? s.line : line) + 1,
+                column: (col === undefined ? s.col : col) + 1,
+                message,
+                severity: 'error'
+            });
+        },
+
+        // Positions a node created by the flow parser at (startLine, startCol)
+        // and the scanner's current position
+        flowNode: function(s, type, value, startLine, startCol) {
+            const node = this.createNode(type, value, startLine + 1, startCol + 1);
+            node.end = { line: s.line + 1, column: s.col + 1 };
+            node.flow = true;
+            return node;
+        },
+
+        parseFlowNode: function(s) {
+            let ch = this.skipFlowSpace(s);
+            if (ch === '&') {
+                const line = s.lines[s.line];
+                const name = line.slice(s.col + 1).match(/^[^\s,[\]{}]*/)[0];
+                const anchorLine = s.line;
+                s.col += name.length + 1;
+                const node = this.parseFlowNode(s);
+                this.registerAnchor(s.ctx, name, node.value, node, anchorLine + 1);
+                return node;
+            }
+            if (ch === '*') {
+                const line = s.lines[s.line];
+                const name = line.slice(s.col + 1).match(/^[^\s,[\]{}]*/)[0];
+                const node = this.resolveAlias(s.ctx, name, s.line + 1, s.col + 1);
+                s.col += name.length + 1;
+                return node;
+            }
+            if (ch === '[') return this.parseFlowCollection(s, ']');
+            if (ch === '{') return this.parseFlowCollection(s, '}');
+            if (ch === '"' || ch === "'") return this.parseFlowQuoted(s, ch);
+            return this.parseFlowPlain(s);
+        },
+
+        parseFlowCollection: function(s, close) {
+            const isMap = close === '}';
+            const openLine = s.line;
+            const openCol = s.col;
+            const result = isMap ? {} : [];
+            const node = this.createNode(isMap ? 'mapping' : 'sequence', result, openLine + 1, openCol + 1);
+            node.flow = true;
+            s.col++;
+
+            while (!s.failed) {
+                let ch = this.skipFlowSpace(s);
+                if (ch === null) {
+                    this.flowError(s, `Unclosed flow ${isMap ? 'mapping' : 'sequence'}: missing '${close}'`, openLine, openCol);
+                    break;
+                }
+                if (ch === close) {
+                    s.col++;
+                    node.end = { line: s.line + 1, column: s.col + 1 };
+                    return node;
+                }
+
+                const entry = this.parseFlowNode(s);
+                if (s.failed) break;
+
+                ch = this.skipFlowSpace(s);
+                if (ch === ':') {
+                    // key: value pair (a single-pair mapping when inside a sequence)
+                    s.col++;
+                    ch = this.skipFlowSpace(s);
+                    const valueNode = (ch === ',' || ch === close)
+                        ? this.flowNode(s, 'scalar', null, s.line, s.col)
+                        : this.parseFlowNode(s);
+                    if (s.failed) break;
+                    entry.value = String(entry.value);
+                    if (isMap) {
+                        this.setMappingValue(s.ctx, result, node, entry, valueNode);
+                    } else {
+                        const pair = {};
+                        const pairNode = this.createNode('mapping', pair, entry.start.line, entry.start.column);
+                        pairNode.flow = true;
+                        pairNode.end = valueNode.end;
+                        this.setMappingValue(s.ctx, pair, pairNode, entry, valueNode);
+                        result.push(pair);
+                        node.items.push(pairNode);
+                    }
+                    ch = this.skipFlowSpace(s);
+                } else if (isMap) {
+                    entry.value = String(entry.value);
+                    this.setMappingValue(s.ctx, result, node, entry, this.flowNode(s, 'scalar', null, s.line, s.col));
+                } else {
+                    result.push(entry.value);
+                    node.items.push(entry);
+                }
+
+                if (ch === ',') {
+                    s.col++;
+                } else if (ch !== close) {
+                    if (ch === null) {
+                        this.flowError(s, `Unclosed flow ${isMap ? 'mapping' : 'sequence'}: missing '${close}'`, openLine, openCol);
+                    } else {
+                        this.flowError(s, `Expected ',' or '${close}' in flow ${isMap ? 'mapping' : 'sequence'}, found '${ch}'`);
+                    }
+                }
+            }
+
+            node.end = { line: s.line + 1, column: s.col + 1 };
+            return node;
+        },
+
+        parseFlowQuoted: function(s, quote) {
+            const openLine = s.line;
+            const openCol = s.col;
+            const style = quote === '"' ? 'double' : 'single';
+            let result = '';
+            s.col++;
+
+            for (;;) {
+                const ch = this.flowPeek(s);
+                if (ch === null || (ch === '\n' && !this.flowNextLine(s))) {
+                    this.flowError(s, 'Unclosed quoted string', openLine, openCol);
+                    break;
+                }
+                if (ch === '\n') {
+                    // Line break inside a quoted scalar folds into a single space
+                    result = result.replace(/[ \t]+$/, '') + ' ';
+                    while (/[ \t]/.test(this.flowPeek(s))) s.col++;
+                    continue;
+                }
+                const line = s.lines[s.line];
+                if (ch === quote) {
+                    if (quote === "'" && line[s.col + 1] === "'") {
+                        result += "'";
+                        s.col += 2;
+                        continue;
+                    }
+                    s.col++;
+                    break;
+                }
+                if (ch === '\\' && quote === '"') {
+                    const esc = line[s.col + 1];
+                    if (esc in this.escapes) {
+                        result += this.escapes[esc];
+                        s.col += 2;
+                    } else if (esc === 'x' || esc === 'u') {
+                        const len = esc === 'x' ? 2 : 4;
+                        const hex = line.slice(s.col + 2, s.col + 2 + len);
+                        result += String.fromCharCode(parseInt(hex, 16));
+                        s.col += 2 + len;
+                    } else {
+                        result += esc === undefined ? '' : esc;
+                        s.col += 2;
+                    }
+                    continue;
+                }
+                result += ch;
+                s.col++;
+            }
+
+            const node = this.flowNode(s, 'scalar', result, openLine, openCol);
+            node.style = style;
+            return node;
+        },
+
+        parseFlowPlain: function(s) {
+            const line = s.lines[s.line];
+            const start = s.col;
+            let end = start;
+            while (end < line.length) {
+                const ch = line[end];
+                if (',[]{}'.includes(ch)) break;
+                if (ch === ':' && (end + 1 >= line.length || /[\s,[\]{}]/.test(line[end + 1]))) break;
+                if (ch === '#' && end > start && /\s/.test(line[end - 1])) break;
+                end++;
+            }
+
+            const raw = line.slice(start, end).trim();
+            if (raw === '') {
+                this.flowError(s, `Unexpected '${line[start]}' in flow collection`);
+                s.col++;
+                return this.flowNode(s, 'scalar', null, s.line, start);
+            }
+            s.col = start + raw.length;
+            const node = this.flowNode(s, 'scalar', this.parseValue(raw), s.line, start);
+            node.style = 'plain';
+            node.raw = raw;
+            s.col = end;
+            return node;
+        },
+
         parseKeyValue: function(str, lineNum, errors) {
             const colonIdx = str.indexOf(':');
             if (colonIdx === -1) return null;
@@ -244,52 +998,524 @@
     };
 
     // ============================================
-    // DOCKER COMPOSE V3.X SCHEMA
+    // ROUND-TRIP DOCUMENT EDITING
     // ============================================
-    const DockerComposeSchema = {
-        version: {
-            type: 'string',
-            description: 'Specifies the Compose file format version',
-            values: ['3', '3.0', '3.1', '3.2', '3.3', '3.4', '3.5', '3.6', '3.7', '3.8', '3.9'],
-            required: false,
-            example: '"3.8"'
+    // Edits are located through the parser's AST and applied as minimal text
+    // replacements, so comments, blank lines, quoting and key order outside
+    // the edited node are left untouched.
+    // setIn, deleteIn and insertIn edit a single document; editDocument
+    // picks the document of a "---" separated text they apply to.
+    const YamlDocumentEditor = {
+        // Replaces one document of text with edit(documentText): the one at
+        // documentIndex, else the one where most of path exists already. On a
+        // tie the document holding preferLine (1-based) wins, else the first.
+        editDocument: function(text, path, documentIndex, edit, preferLine) {
+            const documents = YamlParser.parse(text).documents;
+            let doc;
+            if (documentIndex !== undefined && documentIndex !== null) {
+                doc = documents[documentIndex];
+                if (!doc) {
+                    throw new Error(`Document ${documentIndex} does not exist (the text has ${documents.length})`);
+                }
+            } else {
+                const depths = documents.map(candidate => (path ? YamlParser.findNodePath(candidate.ast, path).length : 0));
+                const deepest = Math.max(...depths);
+                const matches = documents.filter((candidate, i) => depths[i] === deepest);
+                doc = matches.find(candidate => preferLine >= candidate.startLine && preferLine <= candidate.endLine) || matches[0];
+            }
+
+            const lines = text.split('\n');
+            lines.splice(doc.startLine - 1, doc.endLine - doc.startLine + 1, edit(doc.text));
+            return lines.join('\n');
         },
-        services: {
-            type: 'object',
-            description: 'Define the services (containers) that make up your application',
-            children: {
-                '*': {
-                    type: 'object',
-                    description: 'Service definition',
-                    children: {
-                        image: {
-                            type: 'string',
-                            description: 'Specify the image to start the container from. Can be a repository/tag or image ID',
-                            example: 'nginx:latest, redis:6.2-alpine, myregistry.com/myimage:v1.0'
-                        },
-                        build: {
-                            type: ['string', 'object'],
-                            description: 'Configuration options applied at build time. Can be a path to build context or an object',
-                            children: {
-                                context: { type: 'string', description: 'Path to directory containing Dockerfile or git repository URL' },
-                                dockerfile: { type: 'string', description: 'Alternate Dockerfile name' },
-                                args: { type: 'object', description: 'Build arguments (ARG values)' },
-                                cache_from: { type: 'array', description: 'Images to use as cache sources' },
-                                labels: { type: 'object', description: 'Labels to add to the built image' },
-                                network: { type: 'string', description: 'Network mode during build', values: ['host', 'none', 'default'] },
-                                shm_size: { type: 'string', description: 'Size of /dev/shm (e.g., "2gb")' },
-                                target: { type: 'string', description: 'Build stage to target in multi-stage Dockerfile' }
-                            }
-                        },
-                        command: {
-                            type: ['string', 'array'],
-                            description: 'Override the default command. Can be a string or list',
-                            example: '["python", "app.py"] or "python app.py"'
-                        },
-                        entrypoint: {
-                            type: ['string', 'array'],
-                            description: 'Override the default entrypoint',
-                            example: '["/entrypoint.sh"] or "/entrypoint.sh"'
+
+        setIn: function(text, path, value) {
+            if (!path || path.length === 0) {
+                throw new Error('setIn requires a non-empty path');
+            }
+
+            const parsed = YamlParser.parse(text);
+            const found = YamlParser.findNodePath(parsed.ast, path);
+
+            if (found.length === path.length && !found[found.length - 1].merged) {
+                return this.replaceValue(text, path, found[found.length - 1], value);
+            }
+
+            // A merged key is overridden by an explicit key in its own mapping
+            const existing = found.length === path.length ? found.length - 1 : found.length;
+            const parentNode = this.deref(existing === 0 ? parsed.ast : found[existing - 1].value);
+            const rest = path.slice(existing + 1);
+            const nested = rest.reduceRight((acc, segment) => (
+                typeof segment === 'number' ? [acc] : { [segment]: acc }
+            ), value);
+            const segment = path[existing];
+
+            if (parentNode.type === 'mapping') {
+                return this.insertPair(text, parentNode, String(segment), nested);
+            }
+            if (parentNode.type === 'sequence' && Number(segment) === parentNode.items.length) {
+                return this.insertIn(text, path.slice(0, existing), parentNode.items.length, nested);
+            }
+            if (parentNode.type === 'scalar' && parentNode.value === null && existing > 0) {
+                const container = typeof segment === 'number' ? [nested] : { [segment]: nested };
+                return this.replaceValue(text, path.slice(0, existing), found[existing - 1], container);
+            }
+            throw new Error(`Cannot set "${path.join('.')}": "${path.slice(0, existing).join('.')}" is not a mapping or list`);
+        },
+
+        deleteIn: function(text, path) {
+            const parsed = YamlParser.parse(text);
+            const found = YamlParser.findNodePath(parsed.ast, path);
+            if (!path || path.length === 0 || found.length !== path.length) return text;
+
+            const entry = found[found.length - 1];
+            if (entry.merged) {
+                throw new Error(`Cannot delete "${path.join('.')}": it comes from a "<<" merge key`);
+            }
+            const parentNode = this.deref(found.length > 1 ? found[found.length - 2].value : parsed.ast);
+            const lines = text.split('\n');
+
+            if (parentNode.flow) {
+                const entries = parentNode.type === 'mapping'
+                    ? parentNode.pairs.filter(p => !p.merged)
+                    : parentNode.items.map(item => ({ key: null, value: item }));
+                const idx = entries.findIndex(e => e.value === entry.value);
+                const startNode = entries[idx].key || entries[idx].value;
+                // Remove the entry together with the comma that separates it
+                if (idx < entries.length - 1) {
+                    const next = entries[idx + 1].key || entries[idx + 1].value;
+                    return this.splice(text, lines, startNode.start, next.start, '');
+                }
+                if (idx > 0) {
+                    return this.splice(text, lines, entries[idx - 1].value.end, entry.value.end, '');
+                }
+                return this.splice(text, lines, startNode.start, entry.value.end, '');
+            }
+
+            if (parentNode.type === 'mapping') {
+                const keyLine = lines[entry.key.start.line - 1];
+                const onItemLine = /^\s*-\s*$/.test(keyLine.slice(0, entry.key.start.column - 1));
+                if (onItemLine) {
+                    // First key of a "- key: value" item: pull the next key up onto
+                    // the dash, or drop the whole item when nothing else is left
+                    const pairs = parentNode.pairs.filter(p => !p.merged);
+                    const idx = pairs.indexOf(entry);
+                    if (pairs.length === 1) {
+                        return this.deleteIn(text, path.slice(0, -1));
+                    }
+                    return this.splice(text, lines, entry.key.start, pairs[idx + 1].key.start, '');
+                }
+                const first = this.leadingComments(lines, entry.key.start.line);
+                return this.removeLines(text, lines, first, Math.max(entry.key.end.line, entry.value.end.line));
+            }
+
+            // Block sequence item: remove its lines including the dash
+            return this.removeLines(text, lines, this.leadingComments(lines, entry.value.start.line), entry.value.end.line);
+        },
+
+        // First line of the comments directly above a line at its indentation,
+        // which belong to the entry on that line
+        leadingComments: function(lines, line) {
+            const indent = lines[line - 1].match(/^ */)[0].length;
+            let first = line;
+            while (first > 1 && /^ *#/.test(lines[first - 2]) && lines[first - 2].match(/^ */)[0].length === indent) {
+                first--;
+            }
+            return first;
+        },
+
+        insertIn: function(text, path, index, value) {
+            const parsed = YamlParser.parse(text);
+            const found = YamlParser.findNodePath(parsed.ast, path);
+            if (found.length !== path.length) {
+                return this.setIn(text, path, [value]);
+            }
+
+            const node = this.deref(found.length === 0 ? parsed.ast : found[found.length - 1].value);
+            if (node.type === 'scalar' && node.value === null) {
+                return this.setIn(text, path, [value]);
+            }
+            if (node.type !== 'sequence') {
+                throw new Error(`Cannot insert into "${path.join('.')}": it is not a list`);
+            }
+
+            const lines = text.split('\n');
+            const items = node.items;
+            const count = items.length;
+            index = (index === undefined || index === null || index > count) ? count : Math.max(0, index);
+
+            // New scalars follow the quoting of the existing items
+            const style = items.length > 0 ? items[0].style : undefined;
+
+            if (node.flow) {
+                const formatted = this.formatFlow(value, style);
+                if (count === 0) {
+                    return this.splice(text, lines, node.start, { line: node.start.line, column: node.start.column + 1 }, '[' + formatted);
+                }
+                if (index < count) {
+                    return this.splice(text, lines, items[index].start, items[index].start, formatted + ', ');
+                }
+                return this.splice(text, lines, items[count - 1].end, items[count - 1].end, ', ' + formatted);
+            }
+
+            // Block sequence: new items take the indentation of the existing dashes
+            const dashLine = lines[items[0].start.line - 1];
+            const indent = dashLine.slice(0, dashLine.search(/\S/));
+            const rendered = this.renderItem(value, indent, this.indentUnit(lines), style);
+            if (index < count) {
+                const at = { line: items[index].start.line, column: 1 };
+                return this.splice(text, lines, at, at, rendered + '\n');
+            }
+            const lastLine = items[count - 1].end.line;
+            const at = { line: lastLine, column: lines[lastLine - 1].length + 1 };
+            return this.splice(text, lines, at, at, '\n' + rendered);
+        },
+
+        // Renames the mapping key at path, leaving its value untouched
+        renameKey: function(text, path, key) {
+            const parsed = YamlParser.parse(text);
+            const found = YamlParser.findNodePath(parsed.ast, path);
+            const entry = path && path.length > 0 && found.length === path.length ? found[found.length - 1] : null;
+            if (!entry || !entry.key) {
+                throw new Error(`Cannot rename "${(path || []).join('.')}": it is not a mapping key`);
+            }
+            if (entry.merged) {
+                throw new Error(`Cannot rename "${path.join('.')}": it comes from a "<<" merge key`);
+            }
+            return this.splice(text, text.split('\n'), entry.key.start, entry.key.end, this.formatKey(String(key)));
+        },
+
+        // Applies a serialisable edit, as carried by error fixes:
+        // { op: 'setIn' | 'deleteIn' | 'insertIn' | 'renameKey', path, value, index, key }
+        applyEdit: function(text, edit) {
+            switch (edit.op) {
+                case 'setIn': return this.setIn(text, edit.path, edit.value);
+                case 'deleteIn': return this.deleteIn(text, edit.path);
+                case 'insertIn': return this.insertIn(text, edit.path, edit.index, edit.value);
+                case 'renameKey': return this.renameKey(text, edit.path, edit.key);
+                default: throw new Error(`Unknown edit operation "${edit.op}"`);
+            }
+        },
+
+        // Replaces the value of an existing pair or sequence item
+        replaceValue: function(text, path, entry, value) {
+            const node = entry.value;
+            const lines = text.split('\n');
+            const unit = this.indentUnit(lines);
+
+            if (JSON.stringify(node.value) === JSON.stringify(value)) return text;
+
+            // An empty value has no text of its own to replace
+            if (this.isEmptyNode(node)) return this.fillEmpty(text, lines, entry, value, unit);
+
+            const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+            // Collections are updated member by member to keep their formatting
+            if (node.type === 'mapping' && isObject(value)) {
+                let result = text;
+                for (const [key, child] of Object.entries(value)) {
+                    result = this.setIn(result, [...path, key], child);
+                }
+                const explicitKeys = node.pairs.filter(p => !p.merged).map(p => p.key.value);
+                for (const key of explicitKeys) {
+                    if (!(key in value)) result = this.deleteIn(result, [...path, key]);
+                }
+                return result;
+            }
+            if (node.type === 'sequence' && Array.isArray(value)) {
+                let result = text;
+                const common = Math.min(node.items.length, value.length);
+                for (let i = 0; i < common; i++) {
+                    result = this.setIn(result, [...path, i], value[i]);
+                }
+                for (let i = node.items.length - 1; i >= value.length; i--) {
+                    result = this.deleteIn(result, [...path, i]);
+                }
+                for (let i = common; i < value.length; i++) {
+                    result = this.insertIn(result, path, i, value[i]);
+                }
+                return result;
+            }
+
+            const isCollection = value !== null && typeof value === 'object' && Object.keys(value).length > 0;
+
+            // Inside flow collections everything stays in flow style
+            if (node.flow) {
+                return this.splice(text, lines, node.start, node.end, this.formatFlow(value, node.style));
+            }
+
+            // Scalar replaced by a scalar: keep the quoting style
+            if (!isCollection && node.type !== 'mapping' && node.type !== 'sequence') {
+                if (node.style === 'literal' || node.style === 'folded') {
+                    const ownerIndent = lines[node.start.line - 1].search(/\S/);
+                    return this.splice(text, lines, node.start, node.end, this.formatBlockScalar(value, ownerIndent + unit));
+                }
+                return this.splice(text, lines, node.start, node.end, this.formatScalar(value, node.style));
+            }
+
+            // Block value: rewrite everything after the "key:" or "- "
+            const anchor = node.anchor ? `&${node.anchor}` : '';
+            if (entry.key) {
+                const keyLine = lines[entry.key.end.line - 1];
+                const colon = keyLine.indexOf(':', entry.key.end.column - 1);
+                const start = { line: entry.key.end.line, column: colon + 2 };
+                const keyIndent = entry.key.start.column - 1;
+                const replacement = isCollection
+                    ? (anchor ? ' ' + anchor : '') + '\n' + this.renderBlock(value, ' '.repeat(keyIndent + unit), unit)
+                    : ' ' + (anchor ? anchor + ' ' : '') + this.formatScalar(value);
+                return this.splice(text, lines, start, node.end, replacement);
+            }
+
+            const itemLine = lines[node.start.line - 1];
+            const dash = itemLine.lastIndexOf('-', node.start.column - 1);
+            const indent = ' '.repeat(dash);
+            const rendered = this.renderItem(value, indent, unit);
+            return this.splice(text, lines, { line: node.start.line, column: 1 }, node.end, rendered);
+        },
+
+        // "key:" or "-" with nothing after it but an anchor or a comment
+        isEmptyNode: function(node) {
+            if (node.flow || node.type === 'alias') return false;
+            if (node.type === 'scalar' && node.value !== null) return false;
+            return node.start.line === node.end.line && node.start.column === node.end.column;
+        },
+
+        // Writes value after the "key:" or "-" of an empty entry, keeping its
+        // anchor in front of the value and its comment after it
+        fillEmpty: function(text, lines, entry, value, unit) {
+            const node = entry.value;
+            const line = lines[node.start.line - 1];
+            const after = entry.key
+                ? line.indexOf(':', entry.key.end.column - 1) + 1
+                : line.lastIndexOf('-', node.start.column - 1) + 1;
+            const rest = line.slice(after).match(/^\s*(&\S+)?\s*(#.*)?$/) || [];
+            const anchor = rest[1] ? ' ' + rest[1] : '';
+            const comment = rest[2] ? ' ' + rest[2] : '';
+            const from = { line: node.start.line, column: after + 1 };
+            const to = { line: node.start.line, column: line.length + 1 };
+
+            if (value === null || typeof value !== 'object' || Object.keys(value).length === 0) {
+                return this.splice(text, lines, from, to, `${anchor} ${this.formatScalar(value)}${comment}`);
+            }
+            if (!entry.key && Array.isArray(value)) {
+                return this.splice(text, lines, from, to, `${anchor} ${this.formatFlow(value)}${comment}`);
+            }
+            // A collection goes on the lines below, indented under the key or dash
+            const indent = entry.key ? entry.key.start.column - 1 + unit : after + 1;
+            return this.splice(text, lines, from, to, `${anchor}${comment}\n${this.renderBlock(value, ' '.repeat(indent), unit)}`);
+        },
+
+        // Adds key: value at the end of a mapping
+        insertPair: function(text, mapNode, key, value) {
+            const lines = text.split('\n');
+            const unit = this.indentUnit(lines);
+            const pairs = mapNode.pairs.filter(p => !p.merged);
+
+            if (mapNode.flow) {
+                const pairText = `${this.formatKey(key, true)}: ${this.formatFlow(value)}`;
+                if (pairs.length === 0) {
+                    const open = { line: mapNode.start.line, column: mapNode.start.column + 1 };
+                    return this.splice(text, lines, open, open, pairText);
+                }
+                const last = pairs[pairs.length - 1].value.end;
+                return this.splice(text, lines, last, last, ', ' + pairText);
+            }
+
+            const indent = pairs.length > 0
+                ? ' '.repeat(pairs[0].key.start.column - 1)
+                : ' '.repeat(mapNode.start.column - 1);
+            const rendered = this.renderBlock({ [key]: value }, indent, unit);
+
+            if (pairs.length === 0 && mapNode.start.line === 1 && text.trim() === '') {
+                return rendered + '\n';
+            }
+            let lastLine = mapNode.end.line;
+            for (const pair of pairs) {
+                lastLine = Math.max(lastLine, pair.value.end.line);
+            }
+            if (pairs.length === 0) {
+                // Empty document: append at the end
+                lastLine = lines.length;
+                while (lastLine > 1 && lines[lastLine - 1] === '') lastLine--;
+            }
+            const at = { line: lastLine, column: lines[lastLine - 1].length + 1 };
+            return this.splice(text, lines, at, at, (lines[lastLine - 1] === '' ? '' : '\n') + rendered);
+        },
+
+        deref: function(node) {
+            while (node && node.type === 'alias' && node.target) node = node.target;
+            return node;
+        },
+
+        // Replaces the text between two 1-based positions
+        splice: function(text, lines, from, to, replacement) {
+            const start = this.offsetOf(lines, from);
+            const end = this.offsetOf(lines, to);
+            return text.slice(0, start) + replacement + text.slice(end);
+        },
+
+        // Removes whole lines (1-based, inclusive) including their line break
+        removeLines: function(text, lines, first, last) {
+            const start = this.offsetOf(lines, { line: first, column: 1 });
+            let end = this.offsetOf(lines, { line: last, column: lines[last - 1].length + 1 });
+            if (end < text.length) {
+                end++;
+                return text.slice(0, start) + text.slice(end);
+            }
+            // Last line of the text: drop the preceding line break instead
+            return text.slice(0, Math.max(0, start - 1)) + text.slice(end);
+        },
+
+        offsetOf: function(lines, pos) {
+            let offset = 0;
+            for (let i = 0; i < pos.line - 1 && i < lines.length; i++) {
+                offset += lines[i].length + 1;
+            }
+            return offset + pos.column - 1;
+        },
+
+        indentUnit: function(lines) {
+            for (const line of lines) {
+                const indent = line.search(/\S/);
+                if (indent > 0 && !line.trim().startsWith('#')) return indent;
+            }
+            return 2;
+        },
+
+        // Renders a value as block-style lines, each prefixed with indent
+        renderBlock: function(value, indent, unit) {
+            const childIndent = indent + ' '.repeat(unit);
+            const isNonEmpty = v => v !== null && typeof v === 'object' && Object.keys(v).length > 0;
+
+            if (Array.isArray(value)) {
+                return value.map(item => this.renderItem(item, indent, unit)).join('\n');
+            }
+            return Object.entries(value).map(([key, child]) => {
+                if (isNonEmpty(child)) {
+                    return `${indent}${this.formatKey(key)}:\n${this.renderBlock(child, childIndent, unit)}`;
+                }
+                if (child === null) return `${indent}${this.formatKey(key)}:`;
+                return `${indent}${this.formatKey(key)}: ${this.formatScalar(child)}`;
+            }).join('\n');
+        },
+
+        // Renders a sequence item ("- value") whose dash sits at indent
+        renderItem: function(value, indent, unit, style) {
+            // The parser does not read "- - item", so nested sequences stay in flow style
+            if (Array.isArray(value) && value.length > 0) {
+                return `${indent}- ${this.formatFlow(value)}`;
+            }
+            if (value !== null && typeof value === 'object' && Object.keys(value).length > 0) {
+                // Compact form: the first line of the nested block follows the dash
+                const nested = this.renderBlock(value, indent + '  ', unit);
+                return indent + '- ' + nested.slice(indent.length + 2);
+            }
+            return `${indent}- ${this.formatScalar(value, style)}`;
+        },
+
+        formatKey: function(key, flow) {
+            const quote = this.needsQuotes(key) || key.includes(' ') || /^[-?:]/.test(key) || (flow && /[,[\]{}]/.test(key));
+            return quote ? JSON.stringify(key) : key;
+        },
+
+        // Formats a scalar so it reads back as the same value, keeping the
+        // original quoting style where possible
+        formatScalar: function(value, style = 'plain') {
+            if (Array.isArray(value)) return '[]';
+            if (value !== null && typeof value === 'object') return '{}';
+            if (typeof value !== 'string') return YamlParser.valueToString(value);
+            // Control characters and tabs only survive as escapes
+            if (style === 'single' && !/[\u0000-\u001f\u007f]/.test(value)) return `'${value.replace(/'/g, "''")}'`;
+            if (style === 'double' || this.needsQuotes(value)) return JSON.stringify(value);
+            return value;
+        },
+
+        formatBlockScalar: function(value, contentIndent) {
+            // A leading space would change the indentation, control characters
+            // need escapes and line breaks alone have no content to indent
+            if (typeof value !== 'string' || !value.includes('\n') || !/[^\n]/.test(value) || /^ /.test(value) || /[\u0000-\u0009\u000b-\u001f\u007f]/.test(value)) {
+                return this.formatScalar(value);
+            }
+            const body = value.replace(/\n+$/, '');
+            const trailing = value.length - body.length;
+            const chomping = trailing === 0 ? '-' : trailing === 1 ? '' : '+';
+            const pad = ' '.repeat(contentIndent);
+            const lines = body.split('\n').map(line => line === '' ? '' : pad + line);
+            return '|' + chomping + '\n' + lines.join('\n') + (chomping === '+' ? '\n'.repeat(trailing - 1) : '');
+        },
+
+        formatFlow: function(value, style) {
+            if (Array.isArray(value)) {
+                return '[' + value.map(item => this.formatFlow(item)).join(', ') + ']';
+            }
+            if (value !== null && typeof value === 'object') {
+                return '{ ' + Object.entries(value).map(([key, child]) => `${this.formatKey(key, true)}: ${this.formatFlow(child)}`).join(', ') + ' }';
+            }
+            if (typeof value === 'string' && /[,[\]{}]/.test(value) && style !== 'single') {
+                return JSON.stringify(value);
+            }
+            return this.formatScalar(value, style);
+        },
+
+        needsQuotes: function(str) {
+            if (str === '') return true;
+            // Would read back as a number, boolean or null
+            if (YamlParser.parseValue(str) !== str) return true;
+            if (/^\s|\s$/.test(str) || /[\u0000-\u001f\u007f]/.test(str)) return true;
+            // YAML 1.1 reads 22:22 as a base 60 number, so ports stay quoted
+            if (/^\d+(:\d+)+$/.test(str)) return true;
+            if (/^[&*!|>'"%@`{[\]},#]/.test(str) || /^[-?:](\s|$)/.test(str)) return true;
+            return /:(\s|$)/.test(str) || /\s#/.test(str);
+        }
+    };
+
+    // ============================================
+    // DOCKER COMPOSE V3.X SCHEMA
+    // ============================================
+    const DockerComposeSchema = {
+        version: {
+            type: 'string',
+            description: 'Specifies the Compose file format version',
+            values: ['3', '3.0', '3.1', '3.2', '3.3', '3.4', '3.5', '3.6', '3.7', '3.8', '3.9'],
+            required: false,
+            example: '"3.8"'
+        },
+        services: {
+            type: 'object',
+            description: 'Define the services (containers) that make up your application',
+            children: {
+                '*': {
+                    type: 'object',
+                    description: 'Service definition',
+                    children: {
+                        image: {
+                            type: 'string',
+                            description: 'Specify the image to start the container from. Can be a repository/tag or image ID',
+                            example: 'nginx:latest, redis:6.2-alpine, myregistry.com/myimage:v1.0'
+                        },
+                        build: {
+                            type: ['string', 'object'],
+                            description: 'Configuration options applied at build time. Can be a path to build context or an object',
+                            children: {
+                                context: { type: 'string', description: 'Path to directory containing Dockerfile or git repository URL' },
+                                dockerfile: { type: 'string', description: 'Alternate Dockerfile name' },
+                                args: { type: 'object', description: 'Build arguments (ARG values)' },
+                                cache_from: { type: 'array', description: 'Images to use as cache sources' },
+                                labels: { type: 'object', description: 'Labels to add to the built image' },
+                                network: { type: 'string', description: 'Network mode during build', values: ['host', 'none', 'default'] },
+                                shm_size: { type: 'string', format: 'bytes', description: 'Size of /dev/shm (e.g., "2gb")' },
+                                target: { type: 'string', description: 'Build stage to target in multi-stage Dockerfile' }
+                            }
+                        },
+                        command: {
+                            type: ['string', 'array'],
+                            description: 'Override the default command. Can be a string or list',
+                            example: '["python", "app.py"] or "python app.py"'
+                        },
+                        entrypoint: {
+                            type: ['string', 'array'],
+                            description: 'Override the default entrypoint',
+                            example: '["/entrypoint.sh"] or "/entrypoint.sh"'
                         },
                         container_name: {
                             type: 'string',
@@ -298,7 +1524,8 @@
                         depends_on: {
                             type: ['array', 'object'],
                             description: 'Express dependency between services. Services start in dependency order',
-                            example: '["db", "redis"]'
+                            example: '["db", "redis"]',
+                            items: { type: 'string', description: 'Service name' }
                         },
                         deploy: {
                             type: 'object',
@@ -339,8 +1566,8 @@
                                             type: 'object',
                                             description: 'Hard resource limits',
                                             children: {
-                                                cpus: { type: 'string', description: 'CPU limit (e.g., "0.5")' },
-                                                memory: { type: 'string', description: 'Memory limit (e.g., "512M")' },
+                                                cpus: { type: 'string', format: 'cpus', description: 'CPU limit (e.g., "0.5")' },
+                                                memory: { type: 'string', format: 'bytes', description: 'Memory limit (e.g., "512M")' },
                                                 pids: { type: 'number', description: 'Process ID limit' }
                                             }
                                         },
@@ -348,8 +1575,8 @@
                                             type: 'object',
                                             description: 'Resource reservations',
                                             children: {
-                                                cpus: { type: 'string', description: 'CPU reservation' },
-                                                memory: { type: 'string', description: 'Memory reservation' },
+                                                cpus: { type: 'string', format: 'cpus', description: 'CPU reservation' },
+                                                memory: { type: 'string', format: 'bytes', description: 'Memory reservation' },
                                                 generic_resources: { type: 'array', description: 'Generic resources' }
                                             }
                                         }
@@ -360,9 +1587,9 @@
                                     description: 'Restart policy for containers',
                                     children: {
                                         condition: { type: 'string', description: 'When to restart', values: ['none', 'on-failure', 'any'] },
-                                        delay: { type: 'string', description: 'Delay between restarts (e.g., "5s")' },
+                                        delay: { type: 'string', format: 'duration', description: 'Delay between restarts (e.g., "5s")' },
                                         max_attempts: { type: 'number', description: 'Maximum restart attempts' },
-                                        window: { type: 'string', description: 'Time window for restart evaluation' }
+                                        window: { type: 'string', format: 'duration', description: 'Time window for restart evaluation' }
                                     }
                                 },
                                 rollback_config: {
@@ -370,9 +1597,9 @@
                                     description: 'Rollback configuration',
                                     children: {
                                         parallelism: { type: 'number', description: 'Containers to rollback at once' },
-                                        delay: { type: 'string', description: 'Delay between rollback batches' },
+                                        delay: { type: 'string', format: 'duration', description: 'Delay between rollback batches' },
                                         failure_action: { type: 'string', values: ['continue', 'pause'] },
-                                        monitor: { type: 'string', description: 'Monitor duration after rollback' },
+                                        monitor: { type: 'string', format: 'duration', description: 'Monitor duration after rollback' },
                                         max_failure_ratio: { type: 'number', description: 'Failure rate to tolerate' },
                                         order: { type: 'string', values: ['start-first', 'stop-first'] }
                                     }
@@ -382,9 +1609,9 @@
                                     description: 'Update configuration',
                                     children: {
                                         parallelism: { type: 'number', description: 'Containers to update at once' },
-                                        delay: { type: 'string', description: 'Delay between updates' },
+                                        delay: { type: 'string', format: 'duration', description: 'Delay between updates' },
                                         failure_action: { type: 'string', values: ['continue', 'pause', 'rollback'] },
-                                        monitor: { type: 'string', description: 'Monitor duration after update' },
+                                        monitor: { type: 'string', format: 'duration', description: 'Monitor duration after update' },
                                         max_failure_ratio: { type: 'number', description: 'Failure rate to tolerate' },
                                         order: { type: 'string', values: ['start-first', 'stop-first'] }
                                     }
@@ -419,7 +1646,7 @@
                             description: 'Link to containers outside this compose file'
                         },
                         extra_hosts: {
-                            type: 'array',
+                            type: ['array', 'object'],
                             description: 'Add hostname mappings to /etc/hosts',
                             example: '["host1:192.168.1.1"]'
                         },
@@ -428,10 +1655,10 @@
                             description: 'Container health check configuration',
                             children: {
                                 test: { type: ['string', 'array'], description: 'Command to run for health check', example: '["CMD", "curl", "-f", "http://localhost/health"]' },
-                                interval: { type: 'string', description: 'Time between health checks', example: '30s' },
-                                timeout: { type: 'string', description: 'Timeout for health check', example: '10s' },
+                                interval: { type: 'string', format: 'duration', description: 'Time between health checks', example: '30s' },
+                                timeout: { type: 'string', format: 'duration', description: 'Timeout for health check', example: '10s' },
                                 retries: { type: 'number', description: 'Consecutive failures before unhealthy' },
-                                start_period: { type: 'string', description: 'Start period for container initialization', example: '40s' },
+                                start_period: { type: 'string', format: 'duration', description: 'Start period for container initialization', example: '40s' },
                                 disable: { type: 'boolean', description: 'Disable the healthcheck' }
                             }
                         },
@@ -467,11 +1694,12 @@
                         networks: {
                             type: ['array', 'object'],
                             description: 'Networks to join. Can be a list or object with network-specific config',
+                            items: { type: 'string', description: 'Network name' },
                             children: {
                                 '*': {
                                     type: 'object',
                                     children: {
-                                        aliases: { type: 'array', description: 'Network aliases for this service' },
+                                        aliases: { type: 'array', description: 'Network aliases for this service', items: { type: 'string' } },
                                         ipv4_address: { type: 'string', description: 'Static IPv4 address' },
                                         ipv6_address: { type: 'string', description: 'Static IPv6 address' }
                                     }
@@ -486,7 +1714,17 @@
                         ports: {
                             type: 'array',
                             description: 'Expose ports. Format: [HOST:]CONTAINER[/PROTOCOL]',
-                            example: '["80:80", "443:443", "8080:80/tcp"]'
+                            example: '["80:80", "443:443", "8080:80/tcp"]',
+                            items: {
+                                type: ['string', 'number', 'object'],
+                                description: 'Port mapping in short ("8080:80") or long syntax',
+                                children: {
+                                    target: { type: 'number', required: true, description: 'Container port' },
+                                    published: { type: ['string', 'number'], description: 'Host port or range' },
+                                    protocol: { type: 'string', description: 'Port protocol', values: ['tcp', 'udp'] },
+                                    mode: { type: 'string', description: 'Publish mode', values: ['host', 'ingress'] }
+                                }
+                            }
                         },
                         privileged: {
                             type: 'boolean',
@@ -504,7 +1742,18 @@
                         secrets: {
                             type: 'array',
                             description: 'Secrets to mount in the container',
-                            example: '["my_secret"]'
+                            example: '["my_secret"]',
+                            items: {
+                                type: ['string', 'object'],
+                                description: 'Secret name, or long syntax with mount options',
+                                children: {
+                                    source: { type: 'string', required: true, description: 'Secret name' },
+                                    target: { type: 'string', description: 'File name under /run/secrets' },
+                                    uid: { type: 'string', description: 'Owner UID' },
+                                    gid: { type: 'string', description: 'Owner GID' },
+                                    mode: { type: 'number', format: 'octal', description: 'File mode (octal)', example: '0440' }
+                                }
+                            }
                         },
                         security_opt: {
                             type: 'array',
@@ -512,6 +1761,7 @@
                         },
                         shm_size: {
                             type: 'string',
+                            format: 'bytes',
                             description: 'Size of /dev/shm',
                             example: '64M'
                         },
@@ -521,6 +1771,7 @@
                         },
                         stop_grace_period: {
                             type: 'string',
+                            format: 'duration',
                             description: 'Time to wait before force-killing container',
                             example: '10s'
                         },
@@ -562,7 +1813,39 @@
                         volumes: {
                             type: 'array',
                             description: 'Mount volumes. Format: [SOURCE:]TARGET[:OPTIONS]',
-                            example: '["./data:/app/data:ro", "logs:/var/log"]'
+                            example: '["./data:/app/data:ro", "logs:/var/log"]',
+                            items: {
+                                type: ['string', 'object'],
+                                description: 'Mount in short ("./data:/data:ro") or long syntax',
+                                children: {
+                                    type: { type: 'string', required: true, description: 'Mount type', values: ['volume', 'bind', 'tmpfs', 'npipe'] },
+                                    source: { type: 'string', description: 'Volume name or host path' },
+                                    target: { type: 'string', required: true, description: 'Path in the container' },
+                                    read_only: { type: 'boolean', description: 'Mount read-only' },
+                                    consistency: { type: 'string', description: 'Mount consistency (macOS)', values: ['consistent', 'cached', 'delegated'] },
+                                    bind: {
+                                        type: 'object',
+                                        description: 'Bind mount options',
+                                        children: {
+                                            propagation: { type: 'string', description: 'Bind propagation', values: ['private', 'rprivate', 'shared', 'rshared', 'slave', 'rslave'] }
+                                        }
+                                    },
+                                    volume: {
+                                        type: 'object',
+                                        description: 'Named volume options',
+                                        children: {
+                                            nocopy: { type: 'boolean', description: 'Do not copy existing container data into the volume' }
+                                        }
+                                    },
+                                    tmpfs: {
+                                        type: 'object',
+                                        description: 'Tmpfs options',
+                                        children: {
+                                            size: { type: 'string', format: 'bytes', description: 'Tmpfs size' }
+                                        }
+                                    }
+                                }
+                            }
                         },
                         working_dir: {
                             type: 'string',
@@ -571,16 +1854,15 @@
                         configs: {
                             type: 'array',
                             description: 'Configs to mount (Swarm mode)',
-                            children: {
-                                '*': {
-                                    type: 'object',
-                                    children: {
-                                        source: { type: 'string', description: 'Config name' },
-                                        target: { type: 'string', description: 'Mount path in container' },
-                                        uid: { type: 'string', description: 'Owner UID' },
-                                        gid: { type: 'string', description: 'Owner GID' },
-                                        mode: { type: 'number', description: 'File mode (octal)', example: '0440' }
-                                    }
+                            items: {
+                                type: ['string', 'object'],
+                                description: 'Config name, or long syntax with mount options',
+                                children: {
+                                    source: { type: 'string', required: true, description: 'Config name' },
+                                    target: { type: 'string', description: 'Mount path in container' },
+                                    uid: { type: 'string', description: 'Owner UID' },
+                                    gid: { type: 'string', description: 'Owner GID' },
+                                    mode: { type: 'number', format: 'octal', description: 'File mode (octal)', example: '0440' }
                                 }
                             }
                         },
@@ -695,15 +1977,13 @@
                                 config: {
                                     type: 'array',
                                     description: 'IPAM configuration blocks',
-                                    children: {
-                                        '*': {
-                                            type: 'object',
-                                            children: {
-                                                subnet: { type: 'string', description: 'Subnet in CIDR format', example: '172.28.0.0/16' },
-                                                ip_range: { type: 'string', description: 'IP range for allocation' },
-                                                gateway: { type: 'string', description: 'Gateway IP address' },
-                                                aux_addresses: { type: 'object', description: 'Auxiliary addresses' }
-                                            }
+                                    items: {
+                                        type: 'object',
+                                        children: {
+                                            subnet: { type: 'string', description: 'Subnet in CIDR format', example: '172.28.0.0/16' },
+                                            ip_range: { type: 'string', description: 'IP range for allocation' },
+                                            gateway: { type: 'string', description: 'Gateway IP address' },
+                                            aux_addresses: { type: 'object', description: 'Auxiliary addresses' }
                                         }
                                     }
                                 },
@@ -828,64 +2108,600 @@
     };
 
     // ============================================
-    // YAML SYNTAX TOKENIZER
+    // SCHEMA REGISTRY
     // ============================================
-    const YamlTokenizer = {
-        tokenize: function(text) {
-            const tokens = [];
-            const lines = text.split('\n');
-
-            for (let i = 0; i < lines.length; i++) {
-                const line = lines[i];
-                const lineTokens = this.tokenizeLine(line, i);
-                tokens.push(lineTokens);
+    // The v2.x schema and the Compose Specification are described as changes to
+    // the v3.x schema above: nested objects are merged, null removes a key.
+
+    // Resource keys that v2.x and the Compose Specification allow directly on a
+    // service (v3.x moved them under deploy.resources)
+    const ServiceResourceKeys = {
+        cpu_count: { type: 'number', description: 'Number of usable CPUs (Windows only)' },
+        cpu_percent: { type: 'number', description: 'Usable percentage of the available CPUs (Windows only)' },
+        cpu_shares: { type: 'number', description: 'Relative CPU weight versus other containers', example: '512' },
+        cpu_quota: { type: 'number', description: 'CPU CFS quota in microseconds' },
+        cpu_period: { type: 'number', description: 'CPU CFS period in microseconds' },
+        cpu_rt_runtime: { type: 'string', description: 'CPU real-time runtime in microseconds' },
+        cpu_rt_period: { type: 'string', description: 'CPU real-time period in microseconds' },
+        cpus: { type: 'string', format: 'cpus', description: 'Number of CPUs the container may use (e.g., "1.5")' },
+        cpuset: { type: 'string', description: 'CPUs in which to allow execution (e.g., "0-3" or "0,1")' },
+        mem_limit: { type: 'string', format: 'bytes', description: 'Memory limit (e.g., "512m")' },
+        mem_reservation: { type: 'string', format: 'bytes', description: 'Memory soft limit' },
+        mem_swappiness: { type: 'number', description: 'Memory swappiness (0-100)' },
+        memswap_limit: { type: 'string', description: 'Memory plus swap limit' },
+        oom_kill_disable: { type: 'boolean', description: 'Disable the OOM killer' },
+        oom_score_adj: { type: 'number', description: 'OOM score adjustment (-1000 to 1000)' },
+        pids_limit: { type: 'number', description: 'Process ID limit' },
+        blkio_config: {
+            type: 'object',
+            description: 'Block IO bandwidth limits',
+            children: {
+                weight: { type: 'number', description: 'Relative block IO weight (10-1000)' },
+                weight_device: { type: 'array', description: 'Block IO weight per device' },
+                device_read_bps: { type: 'array', description: 'Read rate limit in bytes per second per device' },
+                device_write_bps: { type: 'array', description: 'Write rate limit in bytes per second per device' },
+                device_read_iops: { type: 'array', description: 'Read rate limit in operations per second per device' },
+                device_write_iops: { type: 'array', description: 'Write rate limit in operations per second per device' }
             }
-
-            return tokens;
         },
-
-        tokenizeLine: function(line, lineNum) {
-            const tokens = [];
-            let pos = 0;
-
-            if (line.trim() === '') {
-                tokens.push({ type: 'whitespace', value: line, start: 0, end: line.length });
-                return tokens;
-            }
-
-            // Leading whitespace
-            const leadingWs = line.match(/^(\s*)/);
-            if (leadingWs && leadingWs[1].length > 0) {
-                tokens.push({ type: 'indent', value: leadingWs[1], start: 0, end: leadingWs[1].length });
-                pos = leadingWs[1].length;
+        group_add: { type: 'array', description: 'Additional groups for the container user' },
+        volumes_from: { type: 'array', description: 'Mount all volumes from another service or container' },
+        extends: {
+            type: ['string', 'object'],
+            description: 'Extend another service, in this file or another one',
+            children: {
+                service: { type: 'string', description: 'Name of the service to extend' },
+                file: { type: 'string', description: 'File containing the service to extend' }
             }
+        }
+    };
 
-            const rest = line.slice(pos);
-
-            // Comment
-            if (rest.startsWith('#')) {
-                tokens.push({ type: 'comment', value: rest, start: pos, end: line.length });
-                return tokens;
+    const DockerComposeV2Schema = {
+        version: {
+            values: ['2', '2.0', '2.1', '2.2', '2.3', '2.4'],
+            example: '"2.4"'
+        },
+        services: {
+            children: {
+                '*': {
+                    children: {
+                        ...ServiceResourceKeys,
+                        deploy: null,
+                        configs: null,
+                        secrets: null,
+                        depends_on: {
+                            children: {
+                                '*': {
+                                    type: 'object',
+                                    children: {
+                                        condition: { type: 'string', description: 'Condition to wait for (v2.1+)', values: ['service_started', 'service_healthy'] }
+                                    }
+                                }
+                            }
+                        },
+                        ports: {
+                            items: { type: ['string', 'number'], children: null }
+                        },
+                        volume_driver: { type: 'string', description: 'Default volume driver for the service' },
+                        device_cgroup_rules: { type: 'array', description: 'Device cgroup rules (v2.3+)' }
+                    }
+                }
             }
+        },
+        configs: null,
+        secrets: null
+    };
 
-            // List item
-            if (rest.startsWith('- ')) {
-                tokens.push({ type: 'list-marker', value: '- ', start: pos, end: pos + 2 });
-                pos += 2;
+    const ComposeSpecSchema = {
+        version: {
+            description: 'Obsolete. The Compose Specification ignores the version, leave it out',
+            values: null,
+            example: null
+        },
+        name: {
+            type: 'string',
+            description: 'Project name, used as prefix for containers, networks and volumes',
+            example: 'myapp'
+        },
+        include: {
+            type: 'array',
+            description: 'Other Compose files to load into this application model',
+            example: '["../common/compose.yaml"]',
+            children: {
+                '*': {
+                    type: ['string', 'object'],
+                    children: {
+                        path: { type: ['string', 'array'], description: 'Compose file(s) to include' },
+                        project_directory: { type: 'string', description: 'Base directory for relative paths' },
+                        env_file: { type: ['string', 'array'], description: 'Environment file(s) for interpolation' }
+                    }
+                }
+            }
+        },
+        services: {
+            children: {
+                '*': {
+                    children: {
+                        ...ServiceResourceKeys,
+                        annotations: { type: ['object', 'array'], description: 'Container annotations' },
+                        attach: { type: 'boolean', description: 'Collect the service logs (default true)' },
+                        build: {
+                            children: {
+                                additional_contexts: { type: ['object', 'array'], description: 'Named build contexts' },
+                                cache_to: { type: 'array', description: 'Cache export locations' },
+                                dockerfile_inline: { type: 'string', description: 'Dockerfile content given inline' },
+                                entitlements: { type: 'array', description: 'Extra privileged entitlements for the build' },
+                                extra_hosts: { type: ['object', 'array'], description: 'Hostname mappings during build' },
+                                isolation: { type: 'string', description: 'Build container isolation technology' },
+                                no_cache: { type: 'boolean', description: 'Build without using the cache' },
+                                platforms: { type: 'array', description: 'Target platforms', example: '["linux/amd64", "linux/arm64"]' },
+                                privileged: { type: 'boolean', description: 'Build with elevated privileges' },
+                                pull: { type: 'boolean', description: 'Always pull referenced images' },
+                                secrets: { type: 'array', description: 'Secrets available to the build' },
+                                ssh: { type: ['string', 'array'], description: 'SSH agent sockets or keys for the build', example: 'default' },
+                                tags: { type: 'array', description: 'Additional image tags' },
+                                ulimits: { type: 'object', description: 'Ulimits for the build containers' }
+                            }
+                        },
+                        cgroup: { type: 'string', description: 'Cgroup namespace', values: ['host', 'private'] },
+                        credential_spec: { type: 'object', description: 'Managed service account credentials (Windows only)' },
+                        depends_on: {
+                            children: {
+                                '*': {
+                                    type: 'object',
+                                    children: {
+                                        condition: { type: 'string', description: 'Condition to wait for', values: ['service_started', 'service_healthy', 'service_completed_successfully'] },
+                                        restart: { type: 'boolean', description: 'Restart this service when the dependency is updated' },
+                                        required: { type: 'boolean', description: 'Fail when the dependency is not available (default true)' }
+                                    }
+                                }
+                            }
+                        },
+                        develop: {
+                            type: 'object',
+                            description: 'Development settings for "compose watch"',
+                            children: {
+                                watch: {
+                                    type: 'array',
+                                    description: 'Paths to watch and what to do on change',
+                                    children: {
+                                        '*': {
+                                            type: 'object',
+                                            children: {
+                                                path: { type: 'string', description: 'Path to watch, relative to the project directory' },
+                                                action: { type: 'string', description: 'Action on change', values: ['rebuild', 'restart', 'sync', 'sync+restart', 'sync+exec'] },
+                                                target: { type: 'string', description: 'Path in the container for sync actions' },
+                                                ignore: { type: 'array', description: 'Patterns to ignore' },
+                                                include: { type: 'array', description: 'Patterns to include' },
+                                                initial_sync: { type: 'boolean', description: 'Sync files when the watch starts' },
+                                                exec: { type: 'object', description: 'Command to run after sync+exec' }
+                                            }
+                                        }
+                                    }
+                                }
+                            }
+                        },
+                        device_cgroup_rules: { type: 'array', description: 'Device cgroup rules' },
+                        env_file: {
+                            type: ['string', 'array'],
+                            description: 'Load environment variables from file(s). Entries may be objects with path and required'
+                        },
+                        gpus: { type: ['string', 'array'], description: 'GPU devices to allocate', example: 'all' },
+                        label_file: { type: ['string', 'array'], description: 'Load labels from file(s)' },
+                        networks: {
+                            children: {
+                                '*': {
+                                    children: {
+                                        driver_opts: { type: 'object', description: 'Driver options for this attachment' },
+                                        gw_priority: { type: 'number', description: 'Priority for selecting the default gateway' },
+                                        link_local_ips: { type: 'array', description: 'Link-local IP addresses' },
+                                        mac_address: { type: 'string', description: 'MAC address for this network' },
+                                        priority: { type: 'number', description: 'Order in which networks are connected' }
+                                    }
+                                }
+                            }
+                        },
+                        ports: {
+                            items: {
+                                children: {
+                                    host_ip: { type: 'string', description: 'Host IP to bind to' },
+                                    name: { type: 'string', description: 'Human readable name for the port' },
+                                    app_protocol: { type: 'string', description: 'Application protocol (e.g., http)' }
+                                }
+                            }
+                        },
+                        post_start: { type: 'array', description: 'Lifecycle hooks run after the container starts' },
+                        pre_stop: { type: 'array', description: 'Lifecycle hooks run before the container stops' },
+                        uts: { type: 'string', description: 'UTS namespace mode', values: ['host'] },
+                        volume_driver: { type: 'string', description: 'Default volume driver for the service' },
+                        volumes: {
+                            items: {
+                                children: {
+                                    type: { values: ['volume', 'bind', 'tmpfs', 'npipe', 'cluster', 'image'] },
+                                    bind: {
+                                        children: {
+                                            create_host_path: { type: 'boolean', description: 'Create the host path if it does not exist' },
+                                            selinux: { type: 'string', description: 'SELinux relabeling', values: ['z', 'Z'] }
+                                        }
+                                    },
+                                    volume: {
+                                        children: {
+                                            subpath: { type: 'string', description: 'Path inside the volume to mount' }
+                                        }
+                                    },
+                                    tmpfs: {
+                                        children: {
+                                            mode: { type: 'number', format: 'octal', description: 'File mode of the tmpfs (octal)' }
+                                        }
+                                    },
+                                    image: {
+                                        type: 'object',
+                                        description: 'Image mount options',
+                                        children: {
+                                            subpath: { type: 'string', description: 'Path inside the image to mount' }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        configs: {
+            children: {
+                '*': {
+                    children: {
+                        content: { type: 'string', description: 'Config content given inline' },
+                        environment: { type: 'string', description: 'Environment variable holding the config content' }
+                    }
+                }
+            }
+        },
+        secrets: {
+            children: {
+                '*': {
+                    children: {
+                        environment: { type: 'string', description: 'Environment variable holding the secret' }
+                    }
+                }
+            }
+        }
+    };
+
+    const SchemaRegistry = {
+        schemas: {},
+
+        // Adds a schema under id. definition is { label, schema } where schema is
+        // a tree like DockerComposeSchema; use extend() to derive one.
+        register: function(id, definition) {
+            this.schemas[id] = { id, ...definition };
+            return this.schemas[id];
+        },
+
+        get: function(id) {
+            const entry = this.schemas[id];
+            return entry ? entry.schema : null;
+        },
+
+        // Picks the schema for a parsed document: an explicit id wins, otherwise
+        // the version decides (no version means the Compose Specification)
+        resolve: function(data, schemaOption) {
+            if (schemaOption && schemaOption !== 'auto') {
+                if (!this.schemas[schemaOption]) {
+                    throw new Error(`Unknown schema "${schemaOption}". Registered schemas: ${Object.keys(this.schemas).join(', ')}`);
+                }
+                return schemaOption;
+            }
+            const version = data && data.version !== undefined && data.version !== null
+                ? String(data.version).trim()
+                : '';
+            if (version === '') return 'compose-spec';
+            if (version.startsWith('2')) return 'v2';
+            if (version.startsWith('3')) return 'v3';
+            return 'compose-spec';
+        },
+
+        // Returns a copy of base with changes merged in. Nested objects are
+        // merged, other values replace, and null removes the key.
+        extend: function(base, changes) {
+            const result = Object.assign({}, base);
+            for (const [key, change] of Object.entries(changes)) {
+                if (change === null) {
+                    delete result[key];
+                } else if (this.isPlainObject(change) && this.isPlainObject(base[key])) {
+                    result[key] = this.extend(base[key], change);
+                } else {
+                    result[key] = change;
+                }
+            }
+            return result;
+        },
+
+        isPlainObject: function(value) {
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        }
+    };
+
+    SchemaRegistry.register('v2', {
+        label: 'Docker Compose v2.x',
+        schema: SchemaRegistry.extend(DockerComposeSchema, DockerComposeV2Schema)
+    });
+    SchemaRegistry.register('v3', {
+        label: 'Docker Compose v3.x',
+        schema: DockerComposeSchema
+    });
+    SchemaRegistry.register('compose-spec', {
+        label: 'Compose Specification',
+        schema: SchemaRegistry.extend(DockerComposeSchema, ComposeSpecSchema)
+    });
+
+    // ============================================
+    // JSON SCHEMA ADAPTER
+    // ============================================
+    // Converts a draft-07 JSON Schema, such as the official compose-spec
+    // schema, into the schema tree used by the validator and autocomplete.
+    const JsonSchemaAdapter = {
+        jsonTypes: {
+            string: 'string', number: 'number', integer: 'number', boolean: 'boolean',
+            object: 'object', array: 'array', null: 'null'
+        },
+
+        convert: function(jsonSchema) {
+            if (!jsonSchema || typeof jsonSchema !== 'object') {
+                throw new Error('Expected a JSON Schema object');
+            }
+            const state = { root: jsonSchema, refs: new Map() };
+            const root = this.convertNode(jsonSchema, state);
+            return Object.assign({}, root.children);
+        },
+
+        convertNode: function(schema, state) {
+            if (!schema || typeof schema !== 'object') return {};
+
+            if (schema.$ref) {
+                // Converted definitions are shared; the placeholder is filled in
+                // after conversion so recursive definitions terminate
+                if (!state.refs.has(schema.$ref)) {
+                    const placeholder = {};
+                    state.refs.set(schema.$ref, placeholder);
+                    Object.assign(placeholder, this.convertNode(this.resolveRef(schema.$ref, state), state));
+                }
+                const target = state.refs.get(schema.$ref);
+                return schema.description ? { ...target, description: schema.description } : target;
+            }
+
+            let node = {};
+            if (schema.description) node.description = schema.description;
+            const example = Array.isArray(schema.examples) ? schema.examples[0] : schema.default;
+            if (example !== undefined) {
+                node.example = typeof example === 'object' ? JSON.stringify(example) : String(example);
+            }
+            if (schema.format) node.format = schema.format;
+
+            const types = [].concat(schema.type || []).map(t => this.jsonTypes[t]).filter(Boolean);
+            if (Array.isArray(schema.enum)) {
+                node.values = schema.enum.filter(v => v !== null).map(String);
+                if (types.length === 0) {
+                    schema.enum.forEach(v => types.push(v === null ? 'null' : typeof v));
+                }
+            }
+
+            const children = this.convertProperties(schema, state);
+            if (children) node.children = children;
+            if (schema.items) {
+                const itemSchemas = [].concat(schema.items);
+                node.items = itemSchemas.map(s => this.convertNode(s, state)).reduce((a, b) => this.mergeNodes(a, b));
+            }
+
+            if (types.length === 0 && children) types.push('object');
+            if (types.length === 0 && schema.items) types.push('array');
+            if (types.length > 0) node.type = this.typeList(types);
+
+            // allOf adds constraints; oneOf/anyOf offer alternatives, so their
+            // required keys are not required overall
+            for (const branch of schema.allOf || []) {
+                node = this.mergeNodes(node, this.convertNode(branch, state));
+            }
+            const alternatives = [...(schema.oneOf || []), ...(schema.anyOf || [])].map(b => this.convertNode(b, state));
+            for (const branch of alternatives) {
+                node = this.mergeNodes(node, this.withoutRequired(branch));
+            }
+            // A branch that accepts any string makes an enum non-exhaustive
+            if (alternatives.some(b => !b.values && (!b.type || [].concat(b.type).includes('string')))) {
+                delete node.values;
+            }
+
+            if (Array.isArray(schema.required) && node.children) {
+                for (const key of schema.required) {
+                    if (node.children[key]) node.children[key] = { ...node.children[key], required: true };
+                }
+            }
+            return node;
+        },
+
+        // properties become children; patternProperties and additionalProperties
+        // schemas become the '*' wildcard. Extension patterns (^x-) are skipped,
+        // the validator always accepts x- keys.
+        convertProperties: function(schema, state) {
+            let children = null;
+            for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+                children = children || {};
+                children[key] = this.convertNode(propSchema, state);
+            }
+            for (const [pattern, propSchema] of Object.entries(schema.patternProperties || {})) {
+                if (/^\^x-/.test(pattern)) continue;
+                children = children || {};
+                const converted = this.convertNode(propSchema, state);
+                children['*'] = children['*'] ? this.mergeNodes(children['*'], converted) : converted;
+            }
+            const additional = schema.additionalProperties;
+            if (children && !children['*'] && additional !== false) {
+                children['*'] = additional && typeof additional === 'object' ? this.convertNode(additional, state) : {};
+            } else if (!children && additional && typeof additional === 'object' && Object.keys(additional).length > 0) {
+                children = { '*': this.convertNode(additional, state) };
+            }
+            return children;
+        },
+
+        resolveRef: function(ref, state) {
+            if (!ref.startsWith('#')) return {}; // Remote references are not supported
+            return ref.slice(1).split('/').filter(Boolean).reduce((target, segment) => {
+                const key = decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+                return target && target[key];
+            }, state.root) || {};
+        },
+
+        // Combines two alternative schemas into one node
+        mergeNodes: function(a, b) {
+            const merged = { ...b, ...a };
+            if (a.type || b.type) {
+                merged.type = (a.type && b.type) ? this.typeList([].concat(a.type, b.type)) : (a.type || b.type);
+            }
+            if (a.values && b.values) {
+                merged.values = [...new Set([...a.values, ...b.values])];
+            }
+            if (a.children && b.children) {
+                merged.children = { ...b.children };
+                for (const [key, child] of Object.entries(a.children)) {
+                    merged.children[key] = b.children[key] ? this.mergeNodes(child, b.children[key]) : child;
+                }
+            }
+            if (a.items && b.items) {
+                merged.items = this.mergeNodes(a.items, b.items);
+            }
+            return merged;
+        },
+
+        withoutRequired: function(node) {
+            if (!node.children) return node;
+            const children = {};
+            for (const [key, child] of Object.entries(node.children)) {
+                const { required, ...rest } = child;
+                children[key] = rest;
+            }
+            return { ...node, children };
+        },
+
+        typeList: function(types) {
+            const unique = [...new Set(types)];
+            return unique.length === 1 ? unique[0] : unique;
+        }
+    };
+
+    // ============================================
+    // YAML SYNTAX TOKENIZER
+    // ============================================
+    const YamlTokenizer = {
+        tokenize: function(text) {
+            const tokens = [];
+            const lines = text.split('\n');
+            // Carries open flow collections ([...] / {...}) and block scalar
+            // bodies across lines
+            const state = { flowDepth: 0, blockScalar: null };
+
+            for (let i = 0; i < lines.length; i++) {
+                const line = lines[i];
+                const lineTokens = this.tokenizeLine(line, i, state);
+                tokens.push(lineTokens);
+            }
+
+            return tokens;
+        },
+
+        tokenizeLine: function(line, lineNum, state = { flowDepth: 0, blockScalar: null }) {
+            const tokens = [];
+            let pos = 0;
+            // The \r of CRLF line endings is not part of the content
+            line = line.replace(/\r$/, '');
+
+            // Body of a | or > block scalar: the whole line is string content
+            if (state.blockScalar) {
+                const block = state.blockScalar;
+                const lineIndent = line.search(/\S/);
+                if (lineIndent === -1) {
+                    tokens.push({ type: 'whitespace', value: line, start: 0, end: line.length });
+                    return tokens;
+                }
+                if (block.contentIndent === 0 && lineIndent > block.parentIndent) {
+                    block.contentIndent = lineIndent;
+                }
+                if (block.contentIndent > 0 && lineIndent >= block.contentIndent) {
+                    tokens.push({ type: 'indent', value: line.slice(0, block.contentIndent), start: 0, end: block.contentIndent });
+                    tokens.push({ type: 'value-block', value: line.slice(block.contentIndent), start: block.contentIndent, end: line.length });
+                    return tokens;
+                }
+                state.blockScalar = null;
+            }
+
+            if (line.trim() === '') {
+                tokens.push({ type: 'whitespace', value: line, start: 0, end: line.length });
+                return tokens;
+            }
+
+            // Document start (---) or end (...) marker
+            if (YamlParser.isDocumentMarker(line)) {
+                state.flowDepth = 0;
+                tokens.push({ type: 'document-marker', value: line.slice(0, 3), start: 0, end: 3 });
+                const after = line.slice(3);
+                const commentIdx = after.indexOf('#');
+                if (commentIdx >= 0) {
+                    tokens.push({ type: 'whitespace', value: after.slice(0, commentIdx), start: 3, end: 3 + commentIdx });
+                    tokens.push({ type: 'comment', value: after.slice(commentIdx), start: 3 + commentIdx, end: line.length });
+                } else if (after !== '') {
+                    tokens.push({ type: 'value-string', value: after, start: 3, end: line.length });
+                }
+                return tokens;
+            }
+
+            // Leading whitespace
+            const leadingWs = line.match(/^(\s*)/);
+            if (leadingWs && leadingWs[1].length > 0) {
+                tokens.push({ type: 'indent', value: leadingWs[1], start: 0, end: leadingWs[1].length });
+                pos = leadingWs[1].length;
+            }
+
+            const rest = line.slice(pos);
+
+            // Continuation of a multi-line flow collection
+            if (state.flowDepth > 0) {
+                tokens.push(...this.tokenizeFlow(rest, pos, state));
+                return tokens;
+            }
+
+            // Comment
+            if (rest.startsWith('#')) {
+                tokens.push({ type: 'comment', value: rest, start: pos, end: line.length });
+                return tokens;
+            }
+
+            // List item
+            let ownerIndent = pos;
+            if (rest.startsWith('- ')) {
+                tokens.push({ type: 'list-marker', value: '- ', start: pos, end: pos + 2 });
+                pos += 2;
             } else if (rest === '-') {
                 tokens.push({ type: 'list-marker', value: '-', start: pos, end: pos + 1 });
                 return tokens;
             }
 
             // Key: value or just value
+            pos += this.tokenizeAnchor(line.slice(pos), pos, tokens);
             const remaining = line.slice(pos);
+            if (remaining === '') {
+                return tokens;
+            }
+            if (remaining.startsWith('[') || remaining.startsWith('{')) {
+                tokens.push(...this.tokenizeFlow(remaining, pos, state));
+                return tokens;
+            }
             const colonMatch = remaining.match(/^([^:]+)(:)(\s*)(.*)/);
 
             if (colonMatch) {
                 const key = colonMatch[1];
                 const colon = colonMatch[2];
                 const space = colonMatch[3];
-                const value = colonMatch[4];
+                let value = colonMatch[4];
 
                 tokens.push({ type: 'key', value: key, start: pos, end: pos + key.length });
                 pos += key.length;
@@ -897,19 +2713,51 @@
                     pos += space.length;
                 }
 
-                if (value) {
+                const anchorLength = this.tokenizeAnchor(value, pos, tokens);
+                pos += anchorLength;
+                value = value.slice(anchorLength);
+
+                if (value.startsWith('[') || value.startsWith('{')) {
+                    tokens.push(...this.tokenizeFlow(value, pos, state));
+                } else if (value) {
                     const valueToken = this.tokenizeValue(value, pos);
                     tokens.push(valueToken);
+                    // A "- key: |" block belongs to the key, not the list marker
+                    ownerIndent = rest.startsWith('- ') ? ownerIndent + 2 : ownerIndent;
+                    this.startBlockScalar(value, ownerIndent, state);
                 }
             } else {
                 // Plain value (e.g., in a list)
                 const valueToken = this.tokenizeValue(remaining, pos);
                 tokens.push(valueToken);
+                this.startBlockScalar(remaining, ownerIndent, state);
             }
 
             return tokens;
         },
 
+        // Emits an &anchor token (and the whitespace after it) at the start of
+        // text, returning the number of characters consumed
+        tokenizeAnchor: function(text, start, tokens) {
+            const match = text.match(/^(&[^\s,[\]{}]+)(\s*)/);
+            if (!match) return 0;
+            tokens.push({ type: 'anchor', value: match[1], start, end: start + match[1].length });
+            if (match[2]) {
+                tokens.push({ type: 'whitespace', value: match[2], start: start + match[1].length, end: start + match[0].length });
+            }
+            return match[0].length;
+        },
+
+        startBlockScalar: function(value, parentIndent, state) {
+            const header = YamlParser.parseBlockHeader(value.trim());
+            if (header) {
+                state.blockScalar = {
+                    parentIndent,
+                    contentIndent: header.indent ? parentIndent + header.indent : 0
+                };
+            }
+        },
+
         tokenizeValue: function(value, start) {
             // Check for inline comment
             let actualValue = value;
@@ -920,21 +2768,11 @@
                 comment = commentMatch[2];
             }
 
-            let type = 'value-string';
             const trimmed = actualValue.trim();
+            let type = this.scalarType(trimmed);
 
-            if (trimmed === '' || trimmed === '|' || trimmed === '>' || trimmed === '|-' || trimmed === '>-') {
+            if (trimmed === '' || YamlParser.parseBlockHeader(trimmed)) {
                 type = 'value-multiline';
-            } else if (trimmed === 'true' || trimmed === 'false' || trimmed === 'True' || trimmed === 'False') {
-                type = 'value-boolean';
-            } else if (trimmed === 'null' || trimmed === 'Null' || trimmed === '~') {
-                type = 'value-null';
-            } else if (/^-?\d+(\.\d+)?$/.test(trimmed)) {
-                type = 'value-number';
-            } else if (trimmed.startsWith('"') || trimmed.startsWith("'")) {
-                type = 'value-quoted';
-            } else if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
-                type = 'value-inline';
             }
 
             return {
@@ -944,28 +2782,839 @@
                 end: start + actualValue.length,
                 comment: comment ? { value: comment, start: start + value.indexOf(comment), end: start + value.length } : null
             };
+        },
+
+        scalarType: function(trimmed) {
+            if (trimmed === 'true' || trimmed === 'false' || trimmed === 'True' || trimmed === 'False') {
+                return 'value-boolean';
+            } else if (trimmed === 'null' || trimmed === 'Null' || trimmed === '~') {
+                return 'value-null';
+            } else if (/^-?\d+(\.\d+)?$/.test(trimmed) || /^0o[0-7]+$/.test(trimmed)) {
+                return 'value-number';
+            } else if (trimmed.startsWith('"') || trimmed.startsWith("'")) {
+                return 'value-quoted';
+            } else if (/^\*[^\s,[\]{}]+$/.test(trimmed)) {
+                return 'alias';
+            }
+            return 'value-string';
+        },
+
+        // Splits flow collection text into indicator, key and scalar tokens,
+        // tracking bracket depth in state so the collection can span lines
+        tokenizeFlow: function(text, start, state) {
+            const tokens = [];
+            let i = 0;
+
+            const push = (type, value) => {
+                tokens.push({ type, value, start: start + i, end: start + i + value.length });
+                i += value.length;
+            };
+
+            while (i < text.length) {
+                const ch = text[i];
+                const rest = text.slice(i);
+
+                if (/\s/.test(ch)) {
+                    push('whitespace', rest.match(/^\s+/)[0]);
+                } else if (ch === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+                    push('comment', rest);
+                } else if ('[{'.includes(ch)) {
+                    state.flowDepth++;
+                    push('flow-indicator', ch);
+                } else if (']}'.includes(ch)) {
+                    state.flowDepth = Math.max(0, state.flowDepth - 1);
+                    push('flow-indicator', ch);
+                } else if (ch === ',') {
+                    push('flow-indicator', ch);
+                } else if (ch === ':') {
+                    push('colon', ch);
+                } else if (ch === '&' || ch === '*') {
+                    push(ch === '&' ? 'anchor' : 'alias', rest.match(/^.[^\s,[\]{}]*/)[0]);
+                } else if (ch === '"' || ch === "'") {
+                    const pattern = ch === '"' ? /^"(?:[^"\\]|\\.)*"?/ : /^'(?:[^']|'')*'?/;
+                    const quoted = rest.match(pattern)[0];
+                    push(/^\s*:(\s|$)/.test(text.slice(i + quoted.length)) ? 'key' : 'value-quoted', quoted);
+                } else {
+                    const plain = rest.match(/^(?:[^,[\]{}:#]|:(?![\s,[\]{}]|$)|#(?<!\s#))+/)[0].replace(/\s+$/, '');
+                    // Always move on, whatever the character is
+                    if (plain === '') {
+                        push('value-string', ch);
+                        continue;
+                    }
+                    const isKey = /^\s*:(?:[\s,[\]{}]|$)/.test(text.slice(i + plain.length));
+                    push(isKey ? 'key' : this.scalarType(plain), plain);
+                }
+            }
+
+            return tokens;
         }
     };
 
     // ============================================
-    // DOCKER COMPOSE VALIDATOR
+    // VARIABLE INTERPOLATION
     // ============================================
-    const DockerComposeValidator = {
-        // Keys that allow arbitrary sub-keys (free-form objects)
-        freeFormKeys: new Set([
-            'driver_opts', 'options', 'labels', 'args', 'environment',
-            'sysctls', 'extra_hosts', 'storage_opt', 'aux_addresses'
-        ]),
+    // Compose-style ${VAR} substitution: $VAR, ${VAR}, ${VAR:-default},
+    // ${VAR-default}, ${VAR:?error}, ${VAR?error}, ${VAR:+replacement},
+    // ${VAR+replacement} and $$ for a literal "$". Defaults may nest further
+    // variables.
+    const Interpolation = {
+        modifiers: [':-', ':?', ':+', '-', '?', '+'],
+
+        // Splits text into literal strings and variables
+        // { name, modifier, operand, start, end }, where operand is again a list
+        // of parts and start/end are offsets into text. Grammar errors carry the
+        // offset they were found at.
+        parse: function(text) {
+            const errors = [];
+            const parts = this.parseParts(text, 0, false, errors).parts;
+            return { parts, errors };
+        },
 
-        // Keys that should NEVER appear at root level (indicates wrong indentation)
-        serviceOnlyKeys: new Set([
-            'image', 'build', 'command', 'entrypoint', 'container_name',
-            'depends_on', 'deploy', 'ports', 'expose', 'volumes', 'environment',
-            'env_file', 'healthcheck', 'logging', 'networks', 'restart',
-            'secrets', 'configs', 'labels', 'working_dir', 'user', 'privileged',
-            'cap_add', 'cap_drop', 'devices', 'dns', 'dns_search', 'tmpfs',
-            'hostname', 'domainname', 'shm_size', 'stop_grace_period', 'stop_signal',
-            'stdin_open', 'tty', 'ulimits', 'init', 'read_only', 'pid', 'ipc',
+        parseParts: function(text, pos, nested, errors) {
+            const parts = [];
+            let literal = '';
+            while (pos < text.length) {
+                const ch = text[pos];
+                if (nested && ch === '}') break;
+                if (ch !== '$') {
+                    literal += ch;
+                    pos++;
+                    continue;
+                }
+                if (text[pos + 1] === '$') {
+                    literal += '$';
+                    pos += 2;
+                    continue;
+                }
+
+                let variable = null;
+                if (text[pos + 1] === '{') {
+                    const braced = this.parseBraced(text, pos, errors);
+                    variable = braced.variable;
+                    pos = braced.end;
+                } else {
+                    const name = text.slice(pos + 1).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+                    if (!name) {
+                        // A "$" not followed by a name is kept as is
+                        literal += ch;
+                        pos++;
+                        continue;
+                    }
+                    variable = { name: name[0], modifier: null, operand: null, start: pos, end: pos + 1 + name[0].length };
+                    pos = variable.end;
+                }
+                if (literal) parts.push(literal);
+                literal = '';
+                if (variable) parts.push(variable);
+            }
+            if (literal) parts.push(literal);
+            return { parts, end: pos };
+        },
+
+        parseBraced: function(text, start, errors) {
+            let pos = start + 2;
+            const close = text.indexOf('}', pos);
+            const name = (text.slice(pos).match(/^[A-Za-z_][A-Za-z0-9_]*/) || [''])[0];
+            if (!name) {
+                const found = close === -1 ? text.slice(pos) : text.slice(pos, close);
+                errors.push({
+                    offset: start,
+                    message: close === -1
+                        ? `Unclosed "\${": missing "}"`
+                        : (found ? `Invalid variable name "${found}" in "\${${found}}"` : 'Empty variable name in "${}"')
+                });
+                return { variable: null, end: close === -1 ? text.length : close + 1 };
+            }
+            pos += name.length;
+
+            let modifier = null;
+            let operand = null;
+            if (text[pos] !== '}') {
+                modifier = this.modifiers.find(mod => text.startsWith(mod, pos));
+                if (!modifier) {
+                    errors.push({
+                        offset: start,
+                        message: close === -1
+                            ? `Unclosed "\${${name}": missing "}"`
+                            : `Invalid interpolation modifier "${text.slice(pos, close)}" in "\${${name}${text.slice(pos, close)}}", expected one of ${this.modifiers.join(' ')}`
+                    });
+                    return { variable: null, end: close === -1 ? text.length : close + 1 };
+                }
+                const inner = this.parseParts(text, pos + modifier.length, true, errors);
+                operand = inner.parts;
+                pos = inner.end;
+            }
+            if (text[pos] !== '}') {
+                errors.push({ offset: start, message: `Unclosed "\${${name}": missing "}"` });
+                return { variable: null, end: text.length };
+            }
+            return { variable: { name, modifier, operand, start, end: pos + 1 }, end: pos + 1 };
+        },
+
+        hasVariables: function(text) {
+            return typeof text === 'string' && text.includes('$') &&
+                this.parse(text).parts.some(part => typeof part !== 'string');
+        },
+
+        // Every variable in parts, nested default values included
+        variables: function(parts) {
+            const found = [];
+            for (const part of parts) {
+                if (typeof part === 'string') continue;
+                found.push(part);
+                if (part.operand) found.push(...this.variables(part.operand));
+            }
+            return found;
+        },
+
+        // Substitutes the variables in text from env. Problems (unset required
+        // variables, unset variables without a default) are returned as errors
+        // with the offset of the variable.
+        resolve: function(text, env) {
+            const parsed = this.parse(text);
+            const errors = parsed.errors.map(err => ({ ...err, severity: 'error', rule: 'interpolation-syntax' }));
+            const value = this.evaluate(parsed.parts, env, errors);
+            return { value, errors };
+        },
+
+        evaluate: function(parts, env, errors) {
+            return parts.map(part => typeof part === 'string' ? part : this.evaluateVariable(part, env, errors)).join('');
+        },
+
+        evaluateVariable: function(variable, env, errors) {
+            const isSet = Object.prototype.hasOwnProperty.call(env, variable.name);
+            const value = isSet ? String(env[variable.name]) : '';
+            // The ":" forms also treat an empty value as unset
+            const present = variable.modifier && variable.modifier[0] === ':' ? value !== '' : isSet;
+
+            switch (variable.modifier) {
+                case ':-':
+                case '-':
+                    return present ? value : this.evaluate(variable.operand, env, errors);
+                case ':+':
+                case '+':
+                    return present ? this.evaluate(variable.operand, env, errors) : '';
+                case ':?':
+                case '?': {
+                    if (!present) {
+                        const reason = this.evaluate(variable.operand, env, []);
+                        errors.push({
+                            offset: variable.start,
+                            message: `Required variable "${variable.name}" is ${isSet ? 'empty' : 'not set'}${reason ? `: ${reason}` : ''}`,
+                            severity: 'error',
+                            rule: 'required-variable'
+                        });
+                    }
+                    return value;
+                }
+                default:
+                    if (!isSet) {
+                        errors.push({
+                            offset: variable.start,
+                            message: `Variable "${variable.name}" is not set, defaulting to a blank string`,
+                            severity: 'warning',
+                            rule: 'unset-variable'
+                        });
+                    }
+                    return value;
+            }
+        },
+
+        // Parses .env file text: KEY=VALUE lines, optionally prefixed with
+        // "export", with # comments and single or double quoted values
+        parseEnvFile: function(text) {
+            const env = {};
+            for (const rawLine of text.split(/\r?\n/)) {
+                const line = rawLine.trim();
+                if (!line || line.startsWith('#')) continue;
+                const match = line.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*)$/);
+                if (!match) continue;
+
+                let value = match[2];
+                const doubleQuoted = value.match(/^"((?:[^"\\]|\\.)*)"/);
+                const singleQuoted = value.match(/^'([^']*)'/);
+                if (doubleQuoted) {
+                    const escapes = { n: '\n', r: '\r', t: '\t' };
+                    value = doubleQuoted[1].replace(/\\(.)/g, (m, ch) => escapes[ch] || ch);
+                } else if (singleQuoted) {
+                    value = singleQuoted[1];
+                } else {
+                    value = value.replace(/\s+#.*$/, '').trim();
+                }
+                env[match[1]] = value;
+            }
+            return env;
+        },
+
+        // Accepts an object of variables or .env text; null means no
+        // environment is known and variables stay unresolved
+        normalizeEnvironment: function(env) {
+            if (env === null || env === undefined) return null;
+            if (typeof env === 'string') return this.parseEnvFile(env);
+            const normalized = {};
+            for (const [name, value] of Object.entries(env)) {
+                if (value !== undefined && value !== null) normalized[name] = String(value);
+            }
+            return normalized;
+        },
+
+        // Checks the grammar of every string value and, when env is given,
+        // returns a copy of data with the variables substituted. Substituted
+        // plain scalars are typed again, so "replicas: ${REPLICAS}" becomes a
+        // number. Errors are positioned at the variable in the source.
+        interpolate: function(data, ast, env) {
+            const errors = [];
+            const seen = new Set();
+            // Collections being walked; one that contains itself is left as is
+            const ancestors = new Set();
+
+            const walk = (value, path) => {
+                if (value !== null && typeof value === 'object') {
+                    if (ancestors.has(value)) return value;
+                    ancestors.add(value);
+                    let result;
+                    if (Array.isArray(value)) {
+                        result = value.map((item, index) => walk(item, [...path, index]));
+                    } else {
+                        result = {};
+                        for (const [key, child] of Object.entries(value)) {
+                            result[key] = walk(child, [...path, key]);
+                        }
+                    }
+                    ancestors.delete(value);
+                    return result;
+                }
+                if (typeof value !== 'string' || !value.includes('$')) return value;
+
+                const found = YamlParser.findNode(ast, path);
+                const node = found ? found.value : null;
+                const resolved = env
+                    ? this.resolve(value, env)
+                    : { value, errors: this.parse(value).errors.map(err => ({ ...err, severity: 'error', rule: 'interpolation-syntax' })) };
+
+                for (const err of resolved.errors) {
+                    const position = this.locate(node, err.offset);
+                    const id = `${position.line}:${position.column}:${err.message}`;
+                    if (seen.has(id)) continue; // Aliases share the anchored node
+                    seen.add(id);
+                    errors.push({ line: position.line, column: position.column, message: err.message, severity: err.severity, rule: err.rule, path: path.join('.') });
+                }
+
+                // A value that failed to resolve is left for the checks to skip
+                if (!env || resolved.value === value || resolved.errors.some(err => err.severity === 'error')) return value;
+                if (node && node.style === 'plain' && !/^["']/.test(resolved.value)) {
+                    return YamlParser.parseValue(resolved.value);
+                }
+                return resolved.value;
+            };
+
+            const interpolated = walk(data, []);
+            return { data: env ? interpolated : data, errors };
+        },
+
+        // Source position of an offset into a single-line scalar; multi-line
+        // scalars fall back to the start of the node
+        locate: function(node, offset) {
+            if (!node || !node.start) return { line: 1, column: 1 };
+            if (node.type !== 'scalar' || node.start.line !== node.end.line ||
+                !['plain', 'single', 'double'].includes(node.style)) {
+                return { line: node.start.line, column: node.start.column };
+            }
+            const quote = node.style === 'plain' ? 0 : 1;
+            return { line: node.start.line, column: node.start.column + quote + offset };
+        }
+    };
+
+    // ============================================
+    // PORT SPECIFICATIONS
+    // ============================================
+    // Parses short ("127.0.0.1:8000-8010:80-90/udp") and long syntax ports
+    // entries into { hostIp, published, target, protocol }. published and
+    // target are { start, end } ranges; published is null when the host port
+    // is left to Docker.
+    const PortSpec = {
+        protocols: ['tcp', 'udp', 'sctp'],
+
+        // Returns the parsed spec, { error } for a malformed entry, or null for
+        // entries that cannot be checked (variables, missing target)
+        parse: function(entry) {
+            if (entry !== null && typeof entry === 'object' && !Array.isArray(entry)) {
+                return this.parseLong(entry);
+            }
+            if (typeof entry !== 'string' && typeof entry !== 'number') return null;
+            const text = String(entry).trim();
+            if (Interpolation.hasVariables(text)) return null;
+            const spec = this.parseShort(text);
+            return spec.error ? { error: `Invalid port "${text}": ${spec.error}` } : spec;
+        },
+
+        parseShort: function(text) {
+            let rest = text;
+            let protocol = 'tcp';
+            const slash = rest.lastIndexOf('/');
+            if (slash !== -1) {
+                protocol = rest.slice(slash + 1).toLowerCase();
+                rest = rest.slice(0, slash);
+            }
+
+            // IPv6 host addresses are written in brackets: [::1]:8080:80
+            let hostIp = '';
+            if (rest.startsWith('[')) {
+                const close = rest.indexOf(']');
+                if (close === -1 || rest[close + 1] !== ':') {
+                    return { error: 'unclosed IPv6 address, expected [ADDRESS]:PORT' };
+                }
+                hostIp = rest.slice(1, close);
+                rest = rest.slice(close + 2);
+            }
+
+            const parts = rest.split(':');
+            if (parts.length > 3 || (hostIp && parts.length > 2)) {
+                return { error: 'expected [HOST_IP:][HOST_PORT:]CONTAINER_PORT[/PROTOCOL]' };
+            }
+            if (parts.length === 3) {
+                hostIp = parts.shift();
+                if (!this.isIPv4(hostIp)) {
+                    return { error: `"${hostIp}" is not a valid host IP address` };
+                }
+            }
+
+            const targetText = parts.pop();
+            const publishedText = parts.length > 0 ? parts.pop() : '';
+            return this.build(hostIp, publishedText, targetText, protocol);
+        },
+
+        parseLong: function(entry) {
+            if (entry.target === undefined || entry.target === null) return null;
+            const values = [entry.target, entry.published, entry.host_ip, entry.protocol];
+            if (values.some(v => Interpolation.hasVariables(v))) return null;
+
+            const published = entry.published === undefined || entry.published === null ? '' : String(entry.published);
+            const spec = this.build(entry.host_ip ? String(entry.host_ip) : '', published, String(entry.target), String(entry.protocol || 'tcp').toLowerCase());
+            return spec.error ? { error: `Invalid port mapping: ${spec.error}` } : spec;
+        },
+
+        build: function(hostIp, publishedText, targetText, protocol) {
+            if (!this.protocols.includes(protocol)) {
+                return { error: `unknown protocol "${protocol}", expected ${this.protocols.join(', ')}` };
+            }
+            const target = this.parseRange(targetText, 'container port');
+            if (target.error) return target;
+            let published = null;
+            if (publishedText !== '') {
+                published = this.parseRange(publishedText, 'host port');
+                if (published.error) return published;
+                const publishedSize = published.end - published.start;
+                const targetSize = target.end - target.start;
+                // A host range for a single container port lets Docker pick one
+                if (targetSize > 0 && publishedSize !== targetSize) {
+                    return { error: `host port range ${this.formatRange(published)} and container port range ${this.formatRange(target)} differ in size` };
+                }
+            }
+            return { hostIp, published, target, protocol };
+        },
+
+        parseRange: function(text, label) {
+            const match = text.match(/^(\d+)(?:-(\d+))?$/);
+            if (!match) return { error: `"${text}" is not a valid ${label}` };
+            const start = parseInt(match[1], 10);
+            const end = match[2] ? parseInt(match[2], 10) : start;
+            for (const port of [start, end]) {
+                if (port < 1 || port > 65535) {
+                    return { error: `${label} ${port} is out of range (1-65535)` };
+                }
+            }
+            if (end < start) return { error: `${label} range ${text} ends before it starts` };
+            return { start, end };
+        },
+
+        isIPv4: function(text) {
+            const octets = text.split('.');
+            return octets.length === 4 && octets.every(o => /^\d{1,3}$/.test(o) && parseInt(o, 10) <= 255);
+        },
+
+        isAnyAddress: function(hostIp) {
+            return hostIp === '' || hostIp === '0.0.0.0' || hostIp === '::';
+        },
+
+        // Returns the host port range two specs both publish, or null. Specs
+        // clash when protocol matches and the host IPs can be the same.
+        overlap: function(a, b) {
+            if (!a.published || !b.published || a.protocol !== b.protocol) return null;
+            if (a.hostIp !== b.hostIp && !this.isAnyAddress(a.hostIp) && !this.isAnyAddress(b.hostIp)) return null;
+            const start = Math.max(a.published.start, b.published.start);
+            const end = Math.min(a.published.end, b.published.end);
+            return start <= end ? { start, end } : null;
+        },
+
+        formatRange: function(range) {
+            return range.start === range.end ? String(range.start) : `${range.start}-${range.end}`;
+        }
+    };
+
+    // ============================================
+    // COMPOSE FILE MERGING
+    // ============================================
+    // Merges companion files the way "docker compose -f base.yml -f
+    // override.yml" does and resolves "extends", remembering for every value
+    // the file and line it came from. Origins are kept in a Map keyed by the
+    // dotted path of the value ('services.web.image').
+    const ComposeMerger = {
+        // Lists a later file replaces as a whole
+        replacedKeys: ['command', 'entrypoint', 'test'],
+        // Lists of KEY=VALUE entries, merged like mappings, with the separator
+        // between key and value
+        mappingKeys: { environment: '=', labels: '=', sysctls: '=', annotations: '=', args: '=', extra_hosts: /[=:]/ },
+        // Lists whose entries are merged by a key; a later entry with the same
+        // key replaces the earlier one
+        entryKeys: {
+            volumes: item => DockerComposeValidator.isMapping(item) ? item.target : String(item).split(':')[1] || String(item),
+            devices: item => DockerComposeValidator.isMapping(item) ? item.target : String(item).split(':')[1] || String(item),
+            secrets: item => DockerComposeValidator.isMapping(item) ? item.source : String(item),
+            configs: item => DockerComposeValidator.isMapping(item) ? item.source : String(item)
+        },
+
+        // An origin source for a parsed file: locates paths in its AST
+        fileSource: function(file) {
+            return {
+                name: file.name,
+                locate: path => {
+                    const found = YamlParser.findNode(file.ast, path);
+                    const node = found && (found.key || found.value);
+                    return node && node.start ? { file: file.name, line: node.start.line, column: node.start.column } : null;
+                }
+            };
+        },
+
+        // Merges files ({ name, data, ast }) in order, later files overriding
+        // earlier ones. Returns { data, origins }.
+        mergeFiles: function(files) {
+            const origins = new Map();
+            let data = {};
+            for (const file of files) {
+                if (!DockerComposeValidator.isMapping(file.data)) continue;
+                data = this.mergeValue(data, file.data, [], this.fileSource(file), [], origins);
+            }
+            return { data, origins };
+        },
+
+        mergeValue: function(base, value, path, source, sourcePath, origins) {
+            const key = path[path.length - 1];
+            const isMapping = DockerComposeValidator.isMapping;
+            const mergeable = base !== undefined && base !== null;
+
+            if (mergeable && !this.replacedKeys.includes(key)) {
+                const separator = this.mappingKeys[key];
+                // networks and depends_on may be a list of names in one file
+                // and a mapping in the other
+                if ((separator && (Array.isArray(base) || Array.isArray(value))) ||
+                    (isMapping(base) && Array.isArray(value)) || (Array.isArray(base) && isMapping(value))) {
+                    const converted = this.listToMapping(value, separator);
+                    return this.mergeMapping(this.listToMapping(base, separator, path, origins).map, converted.map, converted.keys, path, source, sourcePath, origins);
+                }
+                if (isMapping(base) && isMapping(value)) {
+                    return this.mergeMapping(base, value, null, path, source, sourcePath, origins);
+                }
+                if (Array.isArray(base) && Array.isArray(value)) {
+                    return this.mergeList(base, value, path, source, sourcePath, origins);
+                }
+            }
+
+            // Scalars, and values of another shape, are replaced
+            this.forget(origins, path);
+            this.record(value, path, source, sourcePath, origins);
+            return this.clone(value);
+        },
+
+        // keys maps an entry of value to the source path segment it came from
+        // (a list index for converted lists); null when they are the same
+        mergeMapping: function(base, value, keys, path, source, sourcePath, origins) {
+            const result = { ...base };
+            if (path.length > 0 && !origins.has(path.join('.'))) {
+                const origin = source.locate(sourcePath);
+                if (origin) origins.set(path.join('.'), origin);
+            }
+            for (const [name, child] of Object.entries(value)) {
+                const segment = keys ? keys[name] : name;
+                result[name] = this.mergeValue(result[name], child, [...path, name], source, [...sourcePath, segment], origins);
+            }
+            return result;
+        },
+
+        mergeList: function(base, value, path, source, sourcePath, origins) {
+            const result = [...base];
+            const keyOf = this.entryKeys[path[path.length - 1]];
+            value.forEach((item, index) => {
+                const entryKey = keyOf ? keyOf(item) : undefined;
+                let position = entryKey !== undefined
+                    ? result.findIndex(existing => keyOf(existing) === entryKey)
+                    : result.findIndex(existing => JSON.stringify(existing) === JSON.stringify(item));
+                if (position !== -1 && entryKey === undefined) return; // Identical entries are kept once
+                if (position === -1) position = result.length;
+                this.forget(origins, [...path, position]);
+                this.record(item, [...path, position], source, [...sourcePath, index], origins);
+                result[position] = this.clone(item);
+            });
+            return result;
+        },
+
+        // Converts a list of "KEY=VALUE" entries (or of names, without a
+        // separator) to { map, keys }. With path and origins, the origins of the
+        // entries move to their keys.
+        listToMapping: function(list, separator, path, origins) {
+            if (!Array.isArray(list)) return { map: list, keys: null };
+            const map = {};
+            const keys = {};
+            list.forEach((item, index) => {
+                const text = String(item);
+                const at = separator ? text.search(separator) : -1;
+                const name = at === -1 ? text : text.slice(0, at);
+                map[name] = at === -1 ? null : text.slice(at + 1);
+                keys[name] = index;
+                if (origins) {
+                    const origin = origins.get([...path, index].join('.'));
+                    this.forget(origins, [...path, index]);
+                    if (origin) origins.set([...path, name].join('.'), origin);
+                }
+            });
+            return { map, keys };
+        },
+
+        // Applies "extends" to every service of data. lookupFile(name) returns
+        // the companion file ({ name, data, ast }) an extends.file refers to.
+        // Problems are returned as { path, message, rule } for the services
+        // of data.
+        resolveExtends: function(data, origins, lookupFile) {
+            const problems = [];
+            if (!DockerComposeValidator.isMapping(data.services)) return problems;
+            const merged = { name: null, locate: path => origins.get(path.join('.')) || null };
+            const cache = new Map();
+
+            // Returns { config, origins } with origins relative to the service
+            const resolve = (file, name, chain) => {
+                const id = `${file ? file.name : ''}#${name}`;
+                if (cache.has(id)) return cache.get(id);
+                const services = file ? file.data && file.data.services : data.services;
+                const config = DockerComposeValidator.isMapping(services) ? services[name] : undefined;
+                if (!DockerComposeValidator.isMapping(config)) return null;
+
+                const source = file ? this.fileSource(file) : merged;
+                const sourcePath = ['services', name];
+                let result = { config, origins: new Map() };
+                this.record(config, [], source, sourcePath, result.origins);
+
+                if (config.extends !== undefined && chain.includes(id)) {
+                    if (!file) {
+                        const cycle = [...chain.slice(chain.indexOf(id)), id].map(entry => entry.split('#')[1]);
+                        problems.push({ path: [...sourcePath, 'extends'], message: `Circular extends: ${cycle.join(' -> ')}`, rule: 'dependency-cycle' });
+                    }
+                } else if (config.extends !== undefined) {
+                    const ext = typeof config.extends === 'string' ? { service: config.extends } : config.extends;
+                    const target = ext && ext.file ? lookupFile(ext.file) : file;
+                    if (ext && ext.file && !target) {
+                        if (!file) {
+                            problems.push({
+                                path: [...sourcePath, 'extends', 'file'],
+                                message: `"${ext.file}" is not registered as a companion document, so "${name}" is checked without what it extends`,
+                                severity: 'warning',
+                                rule: 'unresolved-extends'
+                            });
+                        }
+                    } else if (ext && typeof ext.service === 'string') {
+                        const base = resolve(target || null, ext.service, [...chain, id]);
+                        if (!base && !file) {
+                            problems.push({
+                                path: [...sourcePath, 'extends'],
+                                message: `Service "${name}" extends undefined service "${ext.service}"${ext.file ? ` in "${ext.file}"` : ''}`,
+                                rule: 'undefined-reference'
+                            });
+                        } else if (base) {
+                            const baseConfig = { ...base.config };
+                            delete baseConfig.extends;
+                            const resolvedOrigins = new Map(base.origins);
+                            result = {
+                                config: this.mergeValue(baseConfig, config, [], source, sourcePath, resolvedOrigins),
+                                origins: resolvedOrigins
+                            };
+                            const origin = source.locate(sourcePath);
+                            if (origin) resolvedOrigins.set('', origin);
+                        }
+                    }
+                }
+                cache.set(id, result);
+                return result;
+            };
+
+            for (const name of Object.keys(data.services)) {
+                const service = data.services[name];
+                if (!DockerComposeValidator.isMapping(service) || service.extends === undefined) continue;
+                const resolved = resolve(null, name, []);
+                if (!resolved) continue;
+                data.services[name] = resolved.config;
+                this.forget(origins, ['services', name]);
+                for (const [path, origin] of resolved.origins) {
+                    origins.set(path ? `services.${name}.${path}` : `services.${name}`, origin);
+                }
+            }
+            return problems;
+        },
+
+        // Records the origin of value and everything inside it
+        record: function(value, path, source, sourcePath, origins) {
+            const origin = source.locate(sourcePath);
+            if (origin) origins.set(path.join('.'), origin);
+            if (Array.isArray(value)) {
+                value.forEach((item, index) => this.record(item, [...path, index], source, [...sourcePath, index], origins));
+            } else if (DockerComposeValidator.isMapping(value)) {
+                for (const [key, child] of Object.entries(value)) {
+                    this.record(child, [...path, key], source, [...sourcePath, key], origins);
+                }
+            }
+        },
+
+        // Drops the origins of path and everything below it
+        forget: function(origins, path) {
+            const prefix = path.join('.');
+            for (const key of [...origins.keys()]) {
+                if (prefix === '' || key === prefix || key.startsWith(prefix + '.')) origins.delete(key);
+            }
+        },
+
+        clone: function(value) {
+            return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+        },
+
+        // The merged data and origins without the "extends" keys that were
+        // resolved (as "docker compose config" shows them). Those with one of
+        // resolveExtends' problems stay so the view shows what failed.
+        withoutExtends: function(data, origins, problems) {
+            const view = this.clone(data);
+            const viewOrigins = new Map(origins);
+            const failed = new Set(problems.map(problem => problem.path[1]));
+            if (DockerComposeValidator.isMapping(view.services)) {
+                // ...as do services extending one of those in this file
+                const base = service => {
+                    const ext = DockerComposeValidator.isMapping(service) ? service.extends : undefined;
+                    return typeof ext === 'string' ? ext : (DockerComposeValidator.isMapping(ext) && !ext.file ? ext.service : undefined);
+                };
+                let size;
+                do {
+                    size = failed.size;
+                    for (const [name, service] of Object.entries(view.services)) {
+                        if (failed.has(base(service))) failed.add(name);
+                    }
+                } while (failed.size !== size);
+
+                for (const [name, service] of Object.entries(view.services)) {
+                    if (!DockerComposeValidator.isMapping(service) || !('extends' in service) || failed.has(name)) continue;
+                    delete service.extends;
+                    this.forget(viewOrigins, ['services', name, 'extends']);
+                }
+            }
+            return { data: view, origins: viewOrigins };
+        },
+
+        // Renders merged data as YAML with a "# file:line" comment on every
+        // line whose value has a known origin
+        render: function(data, origins, path = [], indent = '') {
+            const lines = [];
+            const origin = childPath => {
+                const found = origins.get(childPath.join('.'));
+                return found ? `  # ${found.file}:${found.line}` : '';
+            };
+            const isBlock = value => value !== null && typeof value === 'object' && Object.keys(value).length > 0;
+            const inline = value => Array.isArray(value) ? '[]' : (value !== null && typeof value === 'object' ? '{}' : YamlDocumentEditor.formatScalar(value));
+
+            if (Array.isArray(data)) {
+                data.forEach((item, index) => {
+                    const itemPath = [...path, index];
+                    if (isBlock(item)) {
+                        const itemLines = this.render(item, origins, itemPath, indent + '  ');
+                        itemLines[0] = `${indent}- ${itemLines[0].slice(indent.length + 2)}`;
+                        lines.push(...itemLines);
+                    } else {
+                        lines.push(`${indent}- ${inline(item)}${origin(itemPath)}`);
+                    }
+                });
+            } else {
+                for (const [key, value] of Object.entries(data)) {
+                    const keyPath = [...path, key];
+                    if (isBlock(value)) {
+                        lines.push(`${indent}${YamlDocumentEditor.formatKey(key)}:${origin(keyPath)}`);
+                        lines.push(...this.render(value, origins, keyPath, indent + '  '));
+                    } else {
+                        lines.push(`${indent}${YamlDocumentEditor.formatKey(key)}: ${inline(value)}${origin(keyPath)}`);
+                    }
+                }
+            }
+            return lines;
+        }
+    };
+
+    // ============================================
+    // SUGGESTIONS
+    // ============================================
+    const Suggestions = {
+        // Optimal string alignment distance: inserting, deleting or replacing a
+        // character, or swapping two adjacent ones, each count as one edit
+        distance: function(a, b) {
+            const rows = [];
+            for (let i = 0; i <= a.length; i++) {
+                rows.push([i]);
+                for (let j = 1; j <= b.length; j++) {
+                    if (i === 0) {
+                        rows[i].push(j);
+                        continue;
+                    }
+                    const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                    let best = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+                    if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                        best = Math.min(best, rows[i - 2][j - 2] + 1);
+                    }
+                    rows[i].push(best);
+                }
+            }
+            return rows[a.length][b.length];
+        },
+
+        // The candidate closest to word (ignoring case), or null when none is
+        // within a third of the word's length (one to three edits)
+        closest: function(word, candidates) {
+            const text = String(word).toLowerCase();
+            const limit = Math.min(3, Math.max(1, Math.floor(text.length / 3)));
+            let best = null;
+            let bestDistance = limit + 1;
+            for (const candidate of candidates || []) {
+                if (candidate === '*' || candidate === word) continue;
+                const distance = this.distance(text, String(candidate).toLowerCase());
+                if (distance < bestDistance) {
+                    best = candidate;
+                    bestDistance = distance;
+                }
+            }
+            return best;
+        }
+    };
+
+    // ============================================
+    // DOCKER COMPOSE VALIDATOR
+    // ============================================
+    const DockerComposeValidator = {
+        // Keys that allow arbitrary sub-keys (free-form objects)
+        freeFormKeys: new Set([
+            'driver_opts', 'options', 'labels', 'args', 'environment',
+            'sysctls', 'extra_hosts', 'storage_opt', 'aux_addresses'
+        ]),
+
+        // Keys that should NEVER appear at root level (indicates wrong indentation)
+        serviceOnlyKeys: new Set([
+            'image', 'build', 'command', 'entrypoint', 'container_name',
+            'depends_on', 'deploy', 'ports', 'expose', 'volumes', 'environment',
+            'env_file', 'healthcheck', 'logging', 'networks', 'restart',
+            'secrets', 'configs', 'labels', 'working_dir', 'user', 'privileged',
+            'cap_add', 'cap_drop', 'devices', 'dns', 'dns_search', 'tmpfs',
+            'hostname', 'domainname', 'shm_size', 'stop_grace_period', 'stop_signal',
+            'stdin_open', 'tty', 'ulimits', 'init', 'read_only', 'pid', 'ipc',
             'security_opt', 'sysctls', 'userns_mode', 'isolation', 'platform'
         ]),
 
@@ -975,132 +3624,568 @@
             'update_config', 'rollback_config', 'endpoint_mode'
         ]),
 
-        validate: function(text, parsedData) {
+        // schema is a schema tree from SchemaRegistry; by default it is picked
+        // from the document's version
+        // options.target ('stack' or 'compose') adds the checks for that
+        // runtime; without it only the schema is checked. Every error carries
+        // the id of its rule; RuleEngine applies the rules configuration.
+        validate: function(text, parsedData, ast, schema, options = {}) {
             const errors = [];
-            const lines = text.split('\n');
 
             if (!parsedData || Object.keys(parsedData).length === 0) {
                 return errors;
             }
 
+            // Positions come from the AST; parse the text if the caller has none
+            if (!ast) {
+                ast = YamlParser.parse(text).ast;
+            }
+            if (!schema) {
+                schema = SchemaRegistry.get(SchemaRegistry.resolve(parsedData));
+            }
+
             // Validate top-level keys
             for (const key of Object.keys(parsedData)) {
                 if (key.startsWith('x-')) continue; // Extension fields are allowed
-                if (!DockerComposeSchema[key]) {
-                    const lineNum = this.findKeyLine(lines, key, 0);
-
+                if (!schema[key]) {
                     // Check if this is a service-level key at root (wrong indentation)
                     if (this.serviceOnlyKeys.has(key)) {
-                        errors.push({
-                            line: lineNum,
-                            column: 1,
+                        this.report(errors, ast, [key], this.withFix({
                             message: `"${key}" should be inside a service definition, not at root level. Check indentation.`,
-                            severity: 'error'
-                        });
+                            severity: 'error',
+                            rule: 'misplaced-key'
+                        }, this.moveIntoServiceFix(parsedData, ast, key, [])));
                     } else if (this.deployOnlyKeys.has(key)) {
-                        errors.push({
-                            line: lineNum,
-                            column: 1,
+                        this.report(errors, ast, [key], this.withFix({
                             message: `"${key}" should be inside a deploy section, not at root level. Check indentation.`,
-                            severity: 'error'
-                        });
+                            severity: 'error',
+                            rule: 'misplaced-key'
+                        }, this.moveIntoServiceFix(parsedData, ast, key, ['deploy'])));
                     } else {
-                        errors.push({
-                            line: lineNum,
-                            column: 1,
+                        this.report(errors, ast, [key], this.suggest({
                             message: `Unknown top-level key: "${key}"`,
-                            validKeys: Object.keys(DockerComposeSchema).filter(k => k !== 'x'),
-                            severity: 'error'
-                        });
+                            validKeys: Object.keys(schema).filter(k => k !== 'x'),
+                            severity: 'error',
+                            rule: 'unknown-key'
+                        }, key, parsedData, [key]));
                     }
+                } else {
+                    this.checkType(parsedData[key], key, schema[key], ast, errors, [key]);
                 }
             }
 
+            this.checkRequired(parsedData, { children: schema }, ast, errors, [], 'the document');
+
             // Validate version
-            if (parsedData.version) {
-                const validVersions = DockerComposeSchema.version.values;
+            if (parsedData.version && schema.version && schema.version.values) {
+                const validVersions = schema.version.values;
                 const version = String(parsedData.version).replace(/['"]/g, '');
                 if (!validVersions.includes(version)) {
-                    const lineNum = this.findKeyLine(lines, 'version', 0);
-                    errors.push({
-                        line: lineNum,
-                        column: 1,
+                    this.report(errors, ast, ['version'], {
                         message: `Invalid version: "${version}"`,
                         validValues: validVersions,
-                        severity: 'warning'
-                    });
+                        severity: 'warning',
+                        rule: 'invalid-version'
+                    }, 'value');
                 }
             }
 
             // Validate services
-            if (parsedData.services && typeof parsedData.services === 'object') {
-                this.validateServices(parsedData.services, lines, errors);
+            const serviceSchema = schema.services && schema.services.children && schema.services.children['*'];
+            if (this.isMapping(parsedData.services) && serviceSchema) {
+                this.validateServices(parsedData.services, ast, errors, serviceSchema);
             }
 
             // Validate networks
-            if (parsedData.networks && typeof parsedData.networks === 'object') {
-                this.validateSection(parsedData.networks, lines, errors, 'networks', DockerComposeSchema.networks.children['*']);
+            if (this.isMapping(parsedData.networks) && schema.networks && schema.networks.children) {
+                this.validateSection(parsedData.networks, ast, errors, 'networks', schema.networks.children['*']);
             }
 
             // Validate volumes
-            if (parsedData.volumes && typeof parsedData.volumes === 'object') {
-                this.validateSection(parsedData.volumes, lines, errors, 'volumes', DockerComposeSchema.volumes.children['*']);
+            if (this.isMapping(parsedData.volumes) && schema.volumes && schema.volumes.children) {
+                this.validateSection(parsedData.volumes, ast, errors, 'volumes', schema.volumes.children['*']);
             }
 
             // Validate configs
-            if (parsedData.configs && typeof parsedData.configs === 'object') {
-                this.validateSection(parsedData.configs, lines, errors, 'configs', DockerComposeSchema.configs.children['*']);
+            if (this.isMapping(parsedData.configs) && schema.configs && schema.configs.children) {
+                this.validateSection(parsedData.configs, ast, errors, 'configs', schema.configs.children['*']);
             }
 
             // Validate secrets
-            if (parsedData.secrets && typeof parsedData.secrets === 'object') {
-                this.validateSection(parsedData.secrets, lines, errors, 'secrets', DockerComposeSchema.secrets.children['*']);
+            if (this.isMapping(parsedData.secrets) && schema.secrets && schema.secrets.children) {
+                this.validateSection(parsedData.secrets, ast, errors, 'secrets', schema.secrets.children['*']);
+            }
+
+            // Validate references between services and top-level resources
+            if (this.isMapping(parsedData.services)) {
+                this.validateReferences(parsedData, ast, errors);
+                this.validatePorts(parsedData.services, ast, errors);
+                if (options.target) {
+                    this.validateTarget(parsedData.services, ast, errors, options.target);
+                }
+                this.runServiceRules(this.securityRules, parsedData.services, ast, errors, options);
+                this.runServiceRules(this.bestPracticeRules, parsedData.services, ast, errors, options);
             }
 
             return errors;
         },
 
-        validateServices: function(services, lines, errors) {
-            const serviceSchema = DockerComposeSchema.services.children['*'];
+        // Reports malformed ports entries and host ports published twice. A
+        // conflict is reported at the later entry, naming the earlier one.
+        validatePorts: function(services, ast, errors) {
+            const published = [];
+            for (const [serviceName, serviceConfig] of Object.entries(services)) {
+                if (!this.isMapping(serviceConfig) || !Array.isArray(serviceConfig.ports)) continue;
+                serviceConfig.ports.forEach((entry, index) => {
+                    const path = ['services', serviceName, 'ports', index];
+                    const spec = PortSpec.parse(entry);
+                    if (!spec) return;
+                    if (spec.error) {
+                        this.report(errors, ast, path, { message: spec.error, severity: 'error', rule: 'invalid-port' }, 'value');
+                        return;
+                    }
+                    if (!spec.published) return;
+                    for (const other of published) {
+                        const overlap = PortSpec.overlap(spec, other.spec);
+                        if (!overlap) continue;
+                        const owner = other.service === serviceName ? 'this service' : `service "${other.service}"`;
+                        this.report(errors, ast, path, {
+                            message: `Host port ${PortSpec.formatRange(overlap)}/${spec.protocol} is already published by ${owner} (line ${other.line})`,
+                            severity: 'error',
+                            rule: 'port-conflict',
+                            // Lets relateMergedErrors name the file of the earlier entry
+                            related: { path: other.path.join('.'), line: other.line }
+                        }, 'value');
+                        break;
+                    }
+                    published.push({ service: serviceName, spec, path, line: this.locate(ast, path, 'value').line });
+                });
+            }
+        },
+
+        // Service keys each runtime ignores, with the reason shown to the user.
+        // deployKeys are the ignored keys under "deploy".
+        targetProfiles: {
+            stack: {
+                label: 'docker stack deploy',
+                serviceKeys: {
+                    build: 'images must be built and pushed to a registry beforehand',
+                    cgroup_parent: 'Swarm services do not support it',
+                    container_name: 'Swarm names the task containers itself',
+                    depends_on: 'Swarm starts services in no particular order',
+                    devices: 'Swarm services do not support it',
+                    external_links: 'use networks to connect services',
+                    links: 'use networks to connect services',
+                    network_mode: 'Swarm services attach to networks instead',
+                    privileged: 'Swarm services cannot run privileged',
+                    restart: 'use "deploy.restart_policy" instead',
+                    security_opt: 'Swarm services do not support it',
+                    userns_mode: 'Swarm services do not support it',
+                    profiles: 'every service in the stack is deployed',
+                    pull_policy: 'Swarm always resolves the image on the node',
+                    scale: 'use "deploy.replicas" instead'
+                },
+                deployKeys: {}
+            },
+            compose: {
+                label: 'docker compose',
+                serviceKeys: {},
+                deployKeys: {
+                    placement: 'placement constraints need a Swarm cluster',
+                    update_config: 'rolling updates need a Swarm cluster',
+                    rollback_config: 'rollbacks need a Swarm cluster',
+                    endpoint_mode: 'service discovery modes need a Swarm cluster'
+                }
+            }
+        },
+
+        // Warns about keys the target runtime ignores and checks what Swarm
+        // requires of a stack service
+        validateTarget: function(services, ast, errors, target) {
+            const profile = this.targetProfiles[target];
+            if (!profile) return;
+
+            for (const [serviceName, serviceConfig] of Object.entries(services)) {
+                if (!this.isMapping(serviceConfig)) continue;
+                const servicePath = ['services', serviceName];
+
+                if (target === 'stack' && serviceConfig.build && !serviceConfig.image) {
+                    this.report(errors, ast, [...servicePath, 'build'], {
+                        message: `Service "${serviceName}" has no "image": ${profile.label} cannot build images, so set "image" to a pushed image`,
+                        severity: 'error',
+                        rule: 'stack-requires-image'
+                    });
+                }
+
+                for (const [key, reason] of Object.entries(profile.serviceKeys)) {
+                    // A build without an image was reported as an error above
+                    if (!(key in serviceConfig) || (key === 'build' && !serviceConfig.image)) continue;
+                    this.report(errors, ast, [...servicePath, key], {
+                        message: `"${key}" is ignored by ${profile.label}: ${reason}`,
+                        severity: 'warning',
+                        rule: 'ignored-key'
+                    });
+                }
+
+                if (!this.isMapping(serviceConfig.deploy)) continue;
+                for (const [key, reason] of Object.entries(profile.deployKeys)) {
+                    if (!(key in serviceConfig.deploy)) continue;
+                    this.report(errors, ast, [...servicePath, 'deploy', key], {
+                        message: `"deploy.${key}" is ignored by ${profile.label}: ${reason}`,
+                        severity: 'warning',
+                        rule: 'ignored-key'
+                    });
+                }
+            }
+        },
+
+        // Security rules. check(config, options) returns the findings for one
+        // service as { path, message, target }, with path relative to the
+        // service and target 'key' or 'value' (the default).
+        securityRules: {
+            'no-privileged': {
+                severity: 'warning',
+                check: config => config.privileged === true ? [{
+                    path: ['privileged'],
+                    message: 'Privileged mode gives the container every capability and access to all host devices; a compromised container controls the host'
+                }] : []
+            },
+            'no-docker-socket': {
+                severity: 'warning',
+                check: config => (Array.isArray(config.volumes) ? config.volumes : []).flatMap((item, index) => {
+                    const long = DockerComposeValidator.isMapping(item);
+                    const source = long ? item.source : String(item).split(':')[0];
+                    return /^\/(var\/)?run\/docker\.sock$/.test(source) ? [{
+                        path: long ? ['volumes', index, 'source'] : ['volumes', index],
+                        message: 'Mounting the Docker socket lets the container control the Docker daemon, which amounts to root access on the host, even when mounted read-only'
+                    }] : [];
+                })
+            },
+            'no-cap-add-all': {
+                severity: 'warning',
+                check: config => (Array.isArray(config.cap_add) ? config.cap_add : []).flatMap((cap, index) =>
+                    /^(CAP_)?ALL$/i.test(String(cap)) ? [{
+                        path: ['cap_add', index],
+                        message: 'cap_add: ALL grants every Linux capability, which is as good as running privileged; add only the capabilities the service needs'
+                    }] : [])
+            },
+            'no-host-network': {
+                severity: 'warning',
+                check: config => config.network_mode === 'host' ? [{
+                    path: ['network_mode'],
+                    message: 'network_mode: host shares the host\'s network stack: the container can bind any host port and reach services listening on localhost'
+                }] : []
+            },
+            'no-host-pid': {
+                severity: 'warning',
+                check: config => config.pid === 'host' ? [{
+                    path: ['pid'],
+                    message: 'pid: host lets the container see, and with enough privileges signal or trace, every process on the host'
+                }] : []
+            },
+            'no-seccomp-unconfined': {
+                severity: 'warning',
+                check: config => (Array.isArray(config.security_opt) ? config.security_opt : []).flatMap((opt, index) =>
+                    /^seccomp[:=]unconfined$/.test(String(opt)) ? [{
+                        path: ['security_opt', index],
+                        message: 'seccomp:unconfined turns off system call filtering and exposes the whole kernel attack surface to the container'
+                    }] : [])
+            },
+            'no-world-readable-secrets': {
+                severity: 'warning',
+                check: config => (Array.isArray(config.secrets) ? config.secrets : []).flatMap((item, index) => {
+                    const mode = DockerComposeValidator.isMapping(item) ? DockerComposeValidator.fileMode(item.mode) : null;
+                    return mode !== null && (mode & 0o004) ? [{
+                        path: ['secrets', index, 'mode'],
+                        message: `Secret mode 0${mode.toString(8)} makes the secret readable by every user in the container; use 0400 or 0440`
+                    }] : [];
+                })
+            }
+        },
+
+        // Opinionated checks for production deployments, same shape as the
+        // security rules
+        bestPracticeRules: {
+            'image-latest': {
+                severity: 'warning',
+                check: config => {
+                    const image = config.image;
+                    // An empty image is reported as missing
+                    if (typeof image !== 'string' || image === '' || image.includes('@') || Interpolation.hasVariables(image)) return [];
+                    const name = image.slice(image.lastIndexOf('/') + 1);
+                    const tag = name.includes(':') ? name.slice(name.indexOf(':') + 1) : null;
+                    if (tag && tag !== 'latest') return [];
+                    return [{
+                        path: ['image'],
+                        message: tag
+                            ? `Image "${image}" is pinned to "latest", which changes whenever a new version is pushed; pin a version tag or digest`
+                            : `Image "${image}" has no tag, so it resolves to "latest" and changes whenever a new version is pushed; pin a version tag or digest`
+                    }];
+                }
+            },
+            'require-healthcheck': {
+                severity: 'warning',
+                check: config => config.healthcheck === undefined ? [{
+                    path: [],
+                    target: 'key',
+                    message: 'Service has no "healthcheck": a container that hangs is still reported healthy and keeps receiving traffic'
+                }] : []
+            },
+            'require-resource-limits': {
+                severity: 'warning',
+                check: (config, options) => {
+                    if (options.target !== 'stack') return [];
+                    const deploy = DockerComposeValidator.isMapping(config.deploy) ? config.deploy : {};
+                    const resources = DockerComposeValidator.isMapping(deploy.resources) ? deploy.resources : {};
+                    return resources.limits === undefined ? [{
+                        path: config.deploy === undefined ? [] : ['deploy'],
+                        target: 'key',
+                        message: 'Service has no "deploy.resources.limits": one runaway task can starve everything else on its node'
+                    }] : [];
+                }
+            },
+            'require-restart-policy': {
+                severity: 'warning',
+                check: (config, options) => {
+                    if (options.target !== 'stack') return [];
+                    const deploy = DockerComposeValidator.isMapping(config.deploy) ? config.deploy : {};
+                    return deploy.restart_policy === undefined ? [{
+                        path: config.deploy === undefined ? [] : ['deploy'],
+                        target: 'key',
+                        message: 'Service has no "deploy.restart_policy": Swarm restarts failed tasks forever with no delay, which can hide a crash loop'
+                    }] : [];
+                }
+            },
+            'log-rotation': {
+                severity: 'warning',
+                check: config => {
+                    const logging = DockerComposeValidator.isMapping(config.logging) ? config.logging : {};
+                    const logOptions = DockerComposeValidator.isMapping(logging.options) ? logging.options : {};
+                    return logging.driver === 'json-file' && logOptions['max-size'] === undefined ? [{
+                        path: ['logging', 'driver'],
+                        message: 'json-file logging without "max-size" in its options keeps every log line, until the disk is full'
+                    }] : [];
+                }
+            }
+        },
+
+        // Runs each rule of ruleSet on every service, reporting at the rule's
+        // default severity
+        runServiceRules: function(ruleSet, services, ast, errors, options) {
+            for (const [id, rule] of Object.entries(ruleSet)) {
+                for (const [serviceName, serviceConfig] of Object.entries(services)) {
+                    if (!this.isMapping(serviceConfig)) continue;
+                    for (const finding of rule.check(serviceConfig, options)) {
+                        this.report(errors, ast, ['services', serviceName, ...finding.path], {
+                            message: finding.message,
+                            severity: rule.severity,
+                            rule: id
+                        }, finding.target || 'value');
+                    }
+                }
+            }
+        },
+
+        // Reads a file mode the way Compose does: numbers are decimal (256 is
+        // 0400; 0400 written unquoted is read as octal already), strings such
+        // as "0400" or "400" are octal digits. Returns null if unreadable or
+        // not a valid mode, which the octal format check reports.
+        fileMode: function(value) {
+            if (typeof value === 'number') {
+                return Number.isInteger(value) && value >= 0 && value <= 0o777 ? value : null;
+            }
+            const match = typeof value === 'string' && value.match(/^0?o?([0-7]{1,4})$/);
+            return match ? parseInt(match[1], 8) : null;
+        },
+
+        // What a service reference must point at: a top-level section entry or
+        // another service
+        referenceKinds: {
+            networks: { section: 'networks', message: name => `Network "${name}" is not declared in the top-level "networks" section` },
+            volumes: { section: 'volumes', message: name => `Volume "${name}" is not declared in the top-level "volumes" section` },
+            secrets: { section: 'secrets', message: name => `Secret "${name}" is not declared in the top-level "secrets" section` },
+            configs: { section: 'configs', message: name => `Config "${name}" is not declared in the top-level "configs" section` },
+            depends_on: { section: 'services', message: (name, service) => `Service "${service}" depends on undefined service "${name}"` },
+            links: { section: 'services', message: (name, service) => `Service "${service}" links to undefined service "${name}"` }
+        },
+
+        validateReferences: function(data, ast, errors) {
+            const declared = section => new Set(this.isMapping(data[section]) ? Object.keys(data[section]) : []);
+            const sections = {
+                services: declared('services'),
+                networks: declared('networks').add('default'), // Always created by Compose
+                volumes: declared('volumes'),
+                secrets: declared('secrets'),
+                configs: declared('configs')
+            };
+
+            const used = { networks: new Set(), volumes: new Set(), secrets: new Set(), configs: new Set() };
+            const dependencies = new Map();
+            for (const [serviceName, serviceConfig] of Object.entries(data.services)) {
+                if (!this.isMapping(serviceConfig)) continue;
+                // Services without networks (or a network_mode) join the default network
+                if (!serviceConfig.networks && !serviceConfig.network_mode) {
+                    used.networks.add('default');
+                }
+                const edges = [];
+                for (const ref of this.serviceReferences(serviceConfig)) {
+                    if (used[ref.kind]) used[ref.kind].add(ref.name);
+                    const kind = this.referenceKinds[ref.kind];
+                    const path = ['services', serviceName, ...ref.path];
+                    if (!sections[kind.section].has(ref.name)) {
+                        this.report(errors, ast, path, {
+                            message: kind.message(ref.name, serviceName),
+                            severity: 'error',
+                            rule: 'undefined-reference'
+                        }, ref.target);
+                    } else if (ref.kind === 'depends_on') {
+                        edges.push({ name: ref.name, path });
+                    }
+                }
+                dependencies.set(serviceName, edges);
+            }
+
+            this.findDependencyCycles(dependencies, ast, errors);
+            this.reportUnused(data, ast, errors, used);
+        },
+
+        // Warns about top-level declarations no service refers to. The fix
+        // removes the declaration, or the whole section if it is the only one.
+        reportUnused: function(data, ast, errors, used) {
+            const labels = { networks: 'network', volumes: 'volume', secrets: 'secret', configs: 'config' };
+            for (const [section, label] of Object.entries(labels)) {
+                if (!this.isMapping(data[section])) continue;
+                const names = Object.keys(data[section]);
+                for (const name of names) {
+                    if (used[section].has(name)) continue;
+                    this.report(errors, ast, [section, name], {
+                        message: `${label[0].toUpperCase() + label.slice(1)} "${name}" is declared but not used by any service`,
+                        severity: 'warning',
+                        rule: 'unused-declaration',
+                        fix: {
+                            title: `Remove unused ${label} "${name}"`,
+                            edits: [{ op: 'deleteIn', path: names.length === 1 ? [section] : [section, name] }]
+                        }
+                    });
+                }
+            }
+        },
+
+        // Lists the names a service refers to, with the path (relative to the
+        // service) and part of the node that holds each name
+        serviceReferences: function(config) {
+            const refs = [];
+            const add = (kind, name, path, target = 'value') => {
+                if (typeof name !== 'string' || name === '' || Interpolation.hasVariables(name)) return;
+                refs.push({ kind, name, path, target });
+            };
+
+            for (const kind of ['networks', 'depends_on']) {
+                const value = config[kind];
+                if (Array.isArray(value)) {
+                    value.forEach((item, index) => add(kind, item, [kind, index]));
+                } else if (this.isMapping(value)) {
+                    Object.keys(value).forEach(name => add(kind, name, [kind, name], 'key'));
+                }
+            }
+            for (const kind of ['secrets', 'configs']) {
+                (Array.isArray(config[kind]) ? config[kind] : []).forEach((item, index) => {
+                    if (this.isMapping(item)) {
+                        add(kind, item.source, [kind, index, 'source']);
+                    } else {
+                        add(kind, item, [kind, index]);
+                    }
+                });
+            }
+            (Array.isArray(config.volumes) ? config.volumes : []).forEach((item, index) => {
+                if (this.isMapping(item)) {
+                    if (item.type === 'volume') add('volumes', item.source, ['volumes', index, 'source']);
+                } else if (typeof item === 'string' && item.includes(':')) {
+                    // Host paths start with . / or ~; anything else names a volume
+                    const source = item.split(':')[0];
+                    if (/^[a-zA-Z0-9][a-zA-Z0-9_.-]+$/.test(source)) add('volumes', source, ['volumes', index]);
+                }
+            });
+            // Build secrets (Compose Specification) use the top-level secrets too
+            const buildSecrets = this.isMapping(config.build) && Array.isArray(config.build.secrets) ? config.build.secrets : [];
+            buildSecrets.forEach((item, index) => {
+                add('secrets', this.isMapping(item) ? item.source : item, ['build', 'secrets', index].concat(this.isMapping(item) ? ['source'] : []));
+            });
+            (Array.isArray(config.links) ? config.links : []).forEach((item, index) => {
+                add('links', String(item).split(':')[0], ['links', index]);
+            });
+            return refs;
+        },
+
+        // Reports each depends_on cycle once, at the reference that closes it
+        findDependencyCycles: function(dependencies, ast, errors) {
+            const state = new Map(); // service -> 'visiting' | 'done'
+            const stack = [];
+
+            const visit = service => {
+                state.set(service, 'visiting');
+                stack.push(service);
+                for (const edge of dependencies.get(service) || []) {
+                    if (state.get(edge.name) === 'visiting') {
+                        const cycle = [...stack.slice(stack.indexOf(edge.name)), edge.name];
+                        this.report(errors, ast, edge.path, {
+                            message: `Circular dependency: ${cycle.join(' -> ')}`,
+                            severity: 'error',
+                            rule: 'dependency-cycle'
+                        });
+                    } else if (!state.has(edge.name)) {
+                        visit(edge.name);
+                    }
+                }
+                stack.pop();
+                state.set(service, 'done');
+            };
 
+            for (const service of dependencies.keys()) {
+                if (!state.has(service)) visit(service);
+            }
+        },
+
+        validateServices: function(services, ast, errors, serviceSchema) {
             for (const [serviceName, serviceConfig] of Object.entries(services)) {
                 if (!serviceConfig || typeof serviceConfig !== 'object') continue;
+                const servicePath = ['services', serviceName];
 
-                // Check for required fields: either image or build
-                if (!serviceConfig.image && !serviceConfig.build) {
-                    const lineNum = this.findKeyLine(lines, serviceName, 0);
-                    errors.push({
-                        line: lineNum,
-                        column: 1,
+                // Check for required fields: either image or build (or a base service to extend)
+                const serviceKeys = serviceSchema.children || {};
+                const extendsBase = serviceKeys.extends && serviceConfig.extends;
+                if (!serviceConfig.image && !serviceConfig.build && !extendsBase) {
+                    this.report(errors, ast, servicePath, {
                         message: `Service "${serviceName}" must have either "image" or "build" defined`,
-                        severity: 'error'
+                        severity: 'error',
+                        rule: 'missing-image',
+                        fix: {
+                            title: `Add "image:" to service "${serviceName}"`,
+                            edits: [{ op: 'setIn', path: [...servicePath, 'image'], value: '' }],
+                            cursor: [...servicePath, 'image']
+                        }
                     });
                 }
+                this.checkRequired(serviceConfig, serviceSchema, ast, errors, servicePath, `service "${serviceName}"`);
 
                 // Validate service keys
                 for (const key of Object.keys(serviceConfig)) {
                     if (key.startsWith('x-')) continue; // Extension fields
-                    if (!serviceSchema.children[key]) {
-                        const lineNum = this.findKeyLine(lines, key, this.findKeyLine(lines, serviceName, 0));
-                        errors.push({
-                            line: lineNum,
-                            column: 1,
+                    if (!serviceKeys[key] && !serviceKeys['*']) {
+                        this.report(errors, ast, [...servicePath, key], this.suggest({
                             message: `Unknown service key: "${key}" in service "${serviceName}"`,
-                            validKeys: Object.keys(serviceSchema.children),
-                            severity: 'error'
-                        });
+                            validKeys: Object.keys(serviceKeys),
+                            severity: 'error',
+                            rule: 'unknown-key'
+                        }, key, serviceConfig, [...servicePath, key]));
                     } else {
-                        // Validate nested structures (but skip arrays and free-form keys)
-                        const value = serviceConfig[key];
-                        if (!Array.isArray(value) && !this.freeFormKeys.has(key)) {
-                            this.validateNestedConfig(value, key, serviceSchema.children[key], lines, errors, serviceName);
-                        }
+                        this.validateNestedConfig(serviceConfig[key], key, serviceKeys[key] || serviceKeys['*'], ast, errors, serviceName, [...servicePath, key]);
                     }
                 }
             }
         },
 
-        validateSection: function(section, lines, errors, sectionName, schema) {
+        validateSection: function(section, ast, errors, sectionName, schema) {
             // Schema might not have children if it accepts any structure (like external: true)
             if (!schema) return;
 
@@ -1111,6 +4196,8 @@
                 if (typeof itemConfig === 'boolean') continue; // external: true at top level
                 if (typeof itemConfig !== 'object') continue;
 
+                this.checkRequired(itemConfig, schema, ast, errors, [sectionName, itemName], `${sectionName}."${itemName}"`);
+
                 for (const key of Object.keys(itemConfig)) {
                     if (key.startsWith('x-')) continue;
                     // Skip validation for free-form keys
@@ -1120,76 +4207,847 @@
                     // Allow 'external' as boolean or object
                     if (key === 'external') continue;
 
-                    if (Object.keys(schemaChildren).length > 0 && !schemaChildren[key]) {
-                        const lineNum = this.findKeyLine(lines, key, this.findKeyLine(lines, itemName, 0));
-                        errors.push({
-                            line: lineNum,
-                            column: 1,
+                    const keySchema = schemaChildren[key] || schemaChildren['*'];
+                    if (Object.keys(schemaChildren).length > 0 && !keySchema) {
+                        this.report(errors, ast, [sectionName, itemName, key], this.suggest({
                             message: `Unknown key: "${key}" in ${sectionName}."${itemName}"`,
                             validKeys: Object.keys(schemaChildren),
-                            severity: 'error'
-                        });
+                            severity: 'error',
+                            rule: 'unknown-key'
+                        }, key, itemConfig, [sectionName, itemName, key]));
+                    } else if (keySchema) {
+                        this.validateNestedConfig(itemConfig[key], key, keySchema, ast, errors, `${sectionName}.${itemName}`, [sectionName, itemName, key]);
+                    }
+                }
+            }
+        },
+
+        validateNestedConfig: function(config, key, schema, ast, errors, context, path) {
+            if (!schema || config === undefined) return;
+            if (!this.checkType(config, key, schema, ast, errors, path) || config === null) return;
+
+            // Skip validation for free-form keys
+            if (this.freeFormKeys.has(key)) return;
+
+            // List items are checked against the items schema; short (string)
+            // and long (mapping) syntax may be mixed in one list
+            if (Array.isArray(config)) {
+                if (schema.items) {
+                    config.forEach((item, index) => {
+                        this.validateNestedConfig(item, `${key}[${index}]`, schema.items, ast, errors, context, [...path, index]);
+                    });
+                }
+                return;
+            }
+
+            // Validate enum values
+            if (schema.values && typeof config === 'string') {
+                // Values like 'service:[service name]' accept any name after the prefix
+                const matchesPattern = v => v.includes('[') && config.startsWith(v.split('[')[0]);
+                if (!schema.values.includes(config) && !schema.values.some(matchesPattern)) {
+                    this.report(errors, ast, path, this.suggest({
+                        message: `Invalid value "${config}" for "${key}"`,
+                        validValues: schema.values,
+                        severity: 'warning',
+                        rule: 'invalid-value'
+                    }, config, null, path), 'value');
+                }
+            }
+
+            // Validate nested objects
+            if (schema.children && typeof config === 'object') {
+                this.checkRequired(config, schema, ast, errors, path, `${context}.${key}`);
+                for (const subKey of Object.keys(config)) {
+                    if (subKey.startsWith('x-')) continue;
+                    // Skip free-form keys
+                    if (this.freeFormKeys.has(subKey)) continue;
+
+                    const subSchema = schema.children[subKey] || schema.children['*'];
+                    if (!subSchema && !schema.children['*']) {
+                        this.report(errors, ast, [...path, subKey], this.suggest({
+                            message: `Unknown key: "${subKey}" in ${context}.${key}`,
+                            validKeys: Object.keys(schema.children).filter(k => k !== '*'),
+                            severity: 'warning',
+                            rule: 'unknown-key'
+                        }, subKey, config, [...path, subKey]));
+                    } else if (subSchema) {
+                        this.validateNestedConfig(config[subKey], subKey, subSchema, ast, errors, `${context}.${key}`, [...path, subKey]);
                     }
                 }
             }
         },
 
-        validateNestedConfig: function(config, key, schema, lines, errors, context) {
-            if (!schema || config === null || config === undefined) return;
+        isMapping: function(value) {
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        },
+
+        // Checks value against schema.type and schema.format. Returns false on a
+        // mismatch so callers can skip the checks that depend on the type.
+        checkType: function(value, key, schema, ast, errors, path) {
+            if (!schema.type) return true;
+            // Variables left unresolved (no environment given) can't be checked
+            if (Interpolation.hasVariables(value)) return true;
+
+            const types = [].concat(schema.type);
+            if (!types.some(type => this.matchesType(value, type))) {
+                // A plain true, 8080 or null where a string belongs just needs quotes
+                const quote = types.includes('string') ? this.quoteFix(ast, path) : undefined;
+                this.report(errors, ast, path, this.withFix({
+                    message: `Invalid type for "${key}": expected ${this.describeTypes(types)}, got ${this.describeValue(value)}`,
+                    severity: 'error',
+                    rule: 'invalid-type'
+                }, quote), 'value');
+                return false;
+            }
+
+            const format = this.formats[schema.format];
+            if (format && value !== null && typeof value !== 'object' && !format.test(value)) {
+                this.report(errors, ast, path, {
+                    message: `Invalid value for "${key}": expected ${format.label}, got ${this.describeValue(value)}`,
+                    severity: 'error',
+                    rule: 'invalid-format'
+                }, 'value');
+                return false;
+            }
+            return true;
+        },
+
+        // Adds a "Did you mean" suggestion from error.validKeys (or
+        // error.validValues) for a misspelled word, with a fix that applies it.
+        // Keys already present in config are not suggested.
+        suggest: function(error, word, config, path) {
+            const isKey = Boolean(error.validKeys);
+            const candidates = (error.validKeys || error.validValues || [])
+                .filter(candidate => !isKey || !this.isMapping(config) || !(candidate in config));
+            const suggestion = Suggestions.closest(word, candidates);
+            if (!suggestion) return error;
+            return {
+                ...error,
+                message: `${error.message}. Did you mean "${suggestion}"?`,
+                suggestion,
+                fix: isKey
+                    ? { title: `Rename to "${suggestion}"`, edits: [{ op: 'renameKey', path, key: suggestion }] }
+                    : { title: `Change to "${suggestion}"`, edits: [{ op: 'setIn', path, value: suggestion }] }
+            };
+        },
+
+        withFix: function(error, fix) {
+            return fix ? { ...error, fix } : error;
+        },
+
+        // Fix that quotes a plain scalar so it reads as the text it was written as
+        quoteFix: function(ast, path) {
+            const found = YamlParser.findNode(ast, path);
+            const node = found && found.value;
+            if (!node || node.type !== 'scalar' || node.raw === undefined) return undefined;
+            return { title: `Quote as "${node.raw}"`, edits: [{ op: 'setIn', path, value: node.raw }] };
+        },
+
+        // Fix for a service (or deploy) key found at the top level: move it into
+        // the last service defined above it, unless that service has it already
+        moveIntoServiceFix: function(data, ast, key, section) {
+            if (!this.isMapping(data.services)) return undefined;
+            const line = this.locate(ast, [key]).line;
+            let target = null;
+            for (const name of Object.keys(data.services)) {
+                const found = YamlParser.findNode(ast, ['services', name]);
+                if (found && found.key && found.key.start.line < line) target = name;
+            }
+            const path = ['services', target, ...section, key];
+            if (target === null || !this.isMapping(data.services[target]) || YamlParser.findNode(ast, path)) return undefined;
+            return {
+                title: `Move "${key}" into ${section.length > 0 ? `"${section.join('.')}" of ` : ''}service "${target}"`,
+                edits: [{ op: 'deleteIn', path: [key] }, { op: 'setIn', path, value: data[key] }]
+            };
+        },
+
+        // Scalars are loosely typed like in Compose: numbers are accepted where
+        // a string is expected, and an empty value stands for an empty mapping
+        // or list
+        matchesType: function(value, type) {
+            switch (type) {
+                case 'string': return typeof value === 'string' || typeof value === 'number';
+                case 'number': return typeof value === 'number';
+                case 'boolean': return typeof value === 'boolean';
+                case 'object': return value === null || (typeof value === 'object' && !Array.isArray(value));
+                case 'array': return value === null || Array.isArray(value);
+                case 'null': return value === null;
+                default: return true;
+            }
+        },
+
+        typeNames: {
+            string: 'a string',
+            number: 'a number',
+            boolean: 'a boolean (true or false)',
+            object: 'a mapping',
+            array: 'a list',
+            null: 'an empty value'
+        },
+
+        describeTypes: function(types) {
+            const names = types.map(type => this.typeNames[type] || type);
+            return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names[0];
+        },
+
+        describeValue: function(value) {
+            if (value === null) return 'an empty value';
+            if (Array.isArray(value)) return 'a list';
+            if (typeof value === 'object') return 'a mapping';
+            if (typeof value === 'string') return `'${value}'`;
+            return String(value);
+        },
+
+        // Scalar formats referenced by the schema's format field
+        formats: {
+            duration: {
+                label: 'a duration',
+                test: value => value === 0 || /^(\d+(\.\d+)?(ns|us|µs|ms|s|m|h))+$/.test(String(value))
+            },
+            bytes: {
+                label: 'a byte size',
+                test: value => typeof value === 'number' || /^\d+(\.\d+)?\s*([kmgtpe]i?b?|b)?$/i.test(value)
+            },
+            cpus: {
+                label: 'a CPU count',
+                test: value => (typeof value === 'number' && value >= 0) || /^\d+(\.\d+)?$/.test(value) || /^\.\d+$/.test(value)
+            },
+            octal: {
+                label: 'an octal file mode',
+                test: value => DockerComposeValidator.fileMode(value) !== null
+            }
+        },
+
+        // Reports keys marked required: true in schema.children that config lacks
+        checkRequired: function(config, schema, ast, errors, path, context) {
+            if (!schema.children || !config || typeof config !== 'object' || Array.isArray(config)) return;
+            for (const [key, child] of Object.entries(schema.children)) {
+                if (child.required === true && !(key in config)) {
+                    this.report(errors, ast, path, {
+                        message: `Missing required key "${key}" in ${context}`,
+                        severity: 'error',
+                        rule: 'missing-required'
+                    });
+                }
+            }
+        },
+
+        // Records an error at the node for path: its key by default, or its value
+        // when target is 'value'. Falls back to the deepest ancestor that exists.
+        report: function(errors, ast, path, error, target = 'key') {
+            const position = this.locate(ast, path, target);
+            errors.push({
+                line: position.line,
+                column: position.column,
+                ...error,
+                path: path.join('.')
+            });
+        },
+
+        locate: function(ast, path, target = 'key') {
+            const found = YamlParser.findNodePath(ast, path);
+            const entry = found[found.length - 1];
+            if (!entry) return { line: 1, column: 1 };
+            const node = (target === 'value' && found.length === path.length) || !entry.key
+                ? entry.value
+                : entry.key;
+            return { line: node.start.line, column: node.start.column };
+        }
+    };
+
+    // ============================================
+    // RULE ENGINE
+    // ============================================
+    // Applies the rules option ({ 'image-latest': 'off', 'unknown-key':
+    // 'warning' }) and inline directives to the errors of a file. Directives
+    // are comment lines; without rule ids they cover every rule:
+    //   # dye-disable-next-line image-latest, require-healthcheck
+    //   # dye-disable no-privileged   (until "# dye-enable" or the next "---")
+    //   # dye-enable no-privileged
+    // Anything after " -- " is a free-form reason.
+    const RuleEngine = {
+        severities: ['off', 'warning', 'error'],
+
+        // Throws for severities other than off, warning and error
+        checkRules: function(rules) {
+            for (const [id, severity] of Object.entries(rules || {})) {
+                if (!this.severities.includes(severity)) {
+                    throw new Error(`Invalid severity "${severity}" for rule "${id}". Expected one of: ${this.severities.join(', ')}`);
+                }
+            }
+        },
+
+        // What each built-in rule checks, for reports that carry rule metadata
+        descriptions: {
+            'yaml-syntax': 'YAML syntax and indentation errors',
+            'duplicate-key': 'Keys defined twice in one mapping',
+            'duplicate-anchor': 'Anchors defined twice',
+            'undefined-alias': 'Aliases to anchors that do not exist, or inside their own anchor',
+            'interpolation-syntax': 'Malformed ${...} expressions',
+            'required-variable': '${VAR:?message} with VAR unset',
+            'unset-variable': 'Unset variables without a default',
+            'unknown-key': 'Keys the schema does not know',
+            'misplaced-key': 'Service or deploy keys at the top level',
+            'invalid-version': 'Unsupported version values',
+            'invalid-type': 'Values of the wrong type',
+            'invalid-format': 'Malformed durations, byte sizes, CPU counts and file modes',
+            'invalid-value': 'Values outside a key\'s allowed set',
+            'missing-required': 'Required keys that are missing',
+            'missing-image': 'Services with neither image nor build',
+            'invalid-port': 'Malformed or out-of-range ports entries',
+            'port-conflict': 'Host ports published twice',
+            'undefined-reference': 'Undeclared networks, volumes, secrets, configs and services',
+            'dependency-cycle': 'depends_on and extends cycles',
+            'unused-declaration': 'Top-level declarations no service uses',
+            'ignored-key': 'Keys the target runtime ignores',
+            'stack-requires-image': 'Stack services with build but no image',
+            'unresolved-extends': 'extends.file targets that are not registered companions',
+            'no-privileged': 'Privileged containers',
+            'no-docker-socket': 'Bind mounts of the Docker socket',
+            'no-cap-add-all': 'cap_add: ALL',
+            'no-host-network': 'network_mode: host',
+            'no-host-pid': 'pid: host',
+            'no-seccomp-unconfined': 'security_opt: seccomp:unconfined',
+            'no-world-readable-secrets': 'Secret modes readable by all users',
+            'image-latest': 'Images without a tag or pinned to :latest',
+            'require-healthcheck': 'Services without a healthcheck',
+            'require-resource-limits': 'Stack services without deploy.resources.limits',
+            'require-restart-policy': 'Stack services without deploy.restart_policy',
+            'log-rotation': 'json-file logging without a max-size option'
+        },
+
+        // Rules added with DockerYamlEditor.registerRule(), by id; instance
+        // rules are kept by each editor
+        customRules: new Map(),
+
+        // Checks a rule passed to registerRule(); its id must not be a
+        // built-in rule's. options.severity is the default severity
+        // ('warning' unless given); options.description says what it checks
+        // in SARIF reports.
+        createRule: function(id, fn, options = {}) {
+            if (typeof id !== 'string' || id === '') {
+                throw new Error('Rule id must be a non-empty string');
+            }
+            // A custom rule would silently replace the built-in one
+            if (Object.prototype.hasOwnProperty.call(this.descriptions, id)) {
+                throw new Error(`Rule id "${id}" belongs to a built-in rule`);
+            }
+            if (typeof fn !== 'function') {
+                throw new Error(`Rule "${id}" must be a function`);
+            }
+            const severity = options.severity || 'warning';
+            this.checkRules({ [id]: severity });
+            return { fn, severity, description: options.description };
+        },
+
+        // A rule's description: built-in, from a custom rule or its id
+        describe: function(id, customRules = this.customRules) {
+            const custom = customRules.get(id);
+            return this.descriptions[id] || (custom && custom.description) || id;
+        },
+
+        // Runs custom rules on one parsed document. Each rule gets a context
+        // with the document's data (after interpolation), position-aware AST and
+        // text, plus report(where, message, options) where "where" is a key
+        // path or a { line, column } position and options may set severity,
+        // target ('key' or 'value') and fix.
+        runCustomRules: function(rules, doc) {
+            const errors = [];
+            for (const [id, rule] of rules) {
+                const report = (where, message, options = {}) => {
+                    const isPath = Array.isArray(where);
+                    const position = isPath ? DockerComposeValidator.locate(doc.ast, where, options.target) : where;
+                    const error = {
+                        line: position.line,
+                        column: position.column || 1,
+                        message,
+                        severity: options.severity || rule.severity,
+                        rule: id
+                    };
+                    if (isPath) error.path = where.join('.');
+                    if (options.fix) error.fix = options.fix;
+                    errors.push(error);
+                };
+                const context = {
+                    data: doc.data,
+                    ast: doc.ast,
+                    text: doc.text,
+                    index: doc.index,
+                    schema: doc.schemaId,
+                    target: doc.target,
+                    findNode: path => YamlParser.findNode(doc.ast, path),
+                    report
+                };
+                try {
+                    rule.fn(context);
+                } catch (e) {
+                    errors.push({ line: doc.startLine, column: 1, message: `Rule "${id}" failed: ${e.message}`, severity: 'error', rule: id });
+                }
+            }
+            return errors;
+        },
+
+        apply: function(errors, text, rules = {}) {
+            const suppressed = this.parseDirectives(text.split('\n'));
+            const result = [];
+            for (const err of errors) {
+                const severity = rules[err.rule] || err.severity;
+                if (severity === 'off') continue;
+                const ids = suppressed.get(err.line);
+                if (ids && (ids.has('*') || ids.has(err.rule))) continue;
+                result.push(severity === err.severity ? err : { ...err, severity });
+            }
+            return result;
+        },
+
+        // Returns a map from 1-based line number to the set of rule ids
+        // suppressed on it ('*' for all)
+        parseDirectives: function(lines) {
+            const suppressed = new Map();
+            const suppress = (line, ids) => {
+                if (!suppressed.has(line)) suppressed.set(line, new Set());
+                ids.forEach(id => suppressed.get(line).add(id));
+            };
+
+            let disabled = new Set();
+            lines.forEach((text, index) => {
+                if (YamlParser.isDocumentMarker(text)) disabled = new Set();
+                const match = text.match(/^\s*#\s*dye-(disable-next-line|disable|enable)(?:\s+(.*))?$/);
+                if (match) {
+                    const ids = (match[2] || '').split(/\s--\s|^--\s/)[0].split(/[\s,]+/).filter(Boolean);
+                    if (match[1] === 'disable-next-line') {
+                        suppress(index + 2, ids.length > 0 ? ids : ['*']);
+                    } else if (match[1] === 'disable') {
+                        (ids.length > 0 ? ids : ['*']).forEach(id => disabled.add(id));
+                    } else if (ids.length > 0) {
+                        ids.forEach(id => disabled.delete(id));
+                    } else {
+                        disabled.clear();
+                    }
+                }
+                if (disabled.size > 0) suppress(index + 1, disabled);
+            });
+            return suppressed;
+        }
+    };
+
+    // ============================================
+    // VALIDATION PIPELINE
+    // ============================================
+    // Everything between the text and the diagnostics, shared by the editor
+    // and the headless DockerYamlEditor.validate(): parse, interpolate, merge
+    // with companion files, validate against the schema, run custom rules and
+    // apply rule severities and directives. Needs no DOM.
+    const ValidationPipeline = {
+        // Turns editor-style options into settings for run(). Throws for an
+        // unknown schema id, target or rule severity.
+        settings: function(options = {}) {
+            const settings = {
+                schema: options.schema || 'auto',
+                customSchema: this.customSchema(options.schema),
+                environment: Interpolation.normalizeEnvironment(options.environment),
+                target: options.target || null,
+                rules: options.rules || {},
+                companions: new Map(),
+                fileName: options.fileName || 'docker-compose.yml',
+                customRules: RuleEngine.customRules
+            };
+            this.checkTarget(settings.target);
+            RuleEngine.checkRules(settings.rules);
+            for (const companion of options.companions || []) {
+                settings.companions.set(companion.name, this.companion(companion.name, companion.text, companion));
+            }
+            return settings;
+        },
+
+        // A JSON Schema document becomes a { id, schema } used for every
+        // document; schema ids return null and throw when unknown
+        customSchema: function(schema) {
+            if (schema !== null && typeof schema === 'object') {
+                return { id: schema.$id || schema.title || 'custom', schema: JsonSchemaAdapter.convert(schema) };
+            }
+            SchemaRegistry.resolve(null, schema); // Throws for unknown ids
+            return null;
+        },
+
+        checkTarget: function(target) {
+            if (target && !DockerComposeValidator.targetProfiles[target]) {
+                throw new Error(`Unknown target "${target}". Expected one of: ${Object.keys(DockerComposeValidator.targetProfiles).join(', ')}`);
+            }
+        },
+
+        companion: function(name, text, options = {}) {
+            if (typeof name !== 'string' || name === '') {
+                throw new Error('Companion documents need a name');
+            }
+            const parsed = YamlParser.parse(String(text || ''));
+            return { name, text, merge: options.merge !== false, parsed };
+        },
+
+        // A custom schema applies to every document; otherwise the registry
+        // picks one per document
+        resolveSchema: function(data, settings) {
+            if (settings.customSchema) return settings.customSchema;
+            const id = SchemaRegistry.resolve(data, settings.schema);
+            return { id, schema: SchemaRegistry.get(id) };
+        },
+
+        // Returns { parseErrors, errors, documents, isValid }. Each document
+        // gets its schemaId, schema and merged configuration.
+        run: function(text, settings) {
+            const parseResult = YamlParser.parse(text);
+            const parseErrors = RuleEngine.apply(parseResult.errors, text, settings.rules);
+            const documents = parseResult.documents;
+
+            // Validate each document against its Docker Compose schema
+            let errors = [];
+            for (const doc of documents) {
+                const interpolated = this.prepareDocument(doc, settings);
+                const merged = doc.merged;
+                const mergedErrors = [];
+                for (const problem of merged.problems) {
+                    DockerComposeValidator.report(mergedErrors, doc.ast, problem.path, {
+                        message: problem.message,
+                        severity: problem.severity || 'error',
+                        rule: problem.rule
+                    });
+                }
+                mergedErrors.push(
+                    ...DockerComposeValidator.validate(doc.text, merged.data, doc.ast, doc.schema, { target: settings.target }),
+                    ...RuleEngine.runCustomRules(settings.customRules, {
+                        ...doc,
+                        data: merged.data,
+                        target: settings.target
+                    })
+                );
+                const docErrors = [...interpolated.errors, ...this.relateMergedErrors(mergedErrors, interpolated.data, merged, settings.fileName)];
+                docErrors.forEach(err => { err.document = doc.index; });
+                errors.push(...docErrors);
+            }
+            // Rule severities and "# dye-disable" comments
+            errors = RuleEngine.apply(errors, text, settings.rules);
+
+            const isValid = [...parseErrors, ...errors].filter(e => e.severity === 'error' || !e.severity).length === 0;
+            return { parseErrors, errors, documents, isValid };
+        },
+
+        // Sets the document's merged configuration, schemaId and schema.
+        // Returns the interpolation result the document was merged from.
+        prepareDocument: function(doc, settings) {
+            // Schema checks run on the values after ${VAR} substitution
+            const interpolated = Interpolation.interpolate(doc.data, doc.ast, settings.environment);
+            // ...merged with the companion files and "extends" applied
+            doc.merged = this.mergeCompanions(doc, interpolated.data, settings);
+            const resolved = this.resolveSchema(doc.merged.data, settings);
+            doc.schemaId = resolved.id;
+            doc.schema = resolved.schema;
+            return interpolated;
+        },
+
+        // One entry per "---" separated document; lines are 1-based in the
+        // full text and errors are those attributed to the document
+        describeDocuments: function(documents, errors) {
+            return documents.map(doc => ({
+                index: doc.index,
+                startLine: doc.startLine,
+                endLine: doc.endLine,
+                schema: doc.schemaId,
+                text: doc.text,
+                data: doc.data,
+                errors: errors.filter(err => err.document === doc.index)
+            }));
+        },
+
+        // A prepared document's merged configuration: text is YAML with a
+        // "# file:line" comment per line, resolved "extends" keys are left out
+        mergedView: function(doc) {
+            const view = ComposeMerger.withoutExtends(doc.merged.data, doc.merged.origins, doc.merged.problems);
+            return {
+                text: ComposeMerger.render(view.data, view.origins).join('\n') + '\n',
+                data: view.data,
+                origins: Object.fromEntries(view.origins)
+            };
+        },
+
+        // Merges the companion files marked for merging, then this document,
+        // and resolves "extends". Returns { data, origins, problems, merged }.
+        mergeCompanions: function(doc, data, settings) {
+            const companions = [...settings.companions.values()];
+            const files = companions.filter(companion => companion.merge).map(companion => this.companionFile(companion, settings.environment));
+            files.push({ name: settings.fileName, data, ast: doc.ast });
+
+            const result = ComposeMerger.mergeFiles(files);
+            const problems = ComposeMerger.resolveExtends(result.data, result.origins, file => {
+                const wanted = file.replace(/^\.\//, '');
+                const companion = companions.find(c => c.name.replace(/^\.\//, '') === wanted || c.name.endsWith('/' + wanted));
+                return companion ? this.companionFile(companion, settings.environment) : null;
+            });
+            return { data: result.data, origins: result.origins, problems, merged: files.length > 1 };
+        },
+
+        companionFile: function(companion, environment) {
+            const data = Interpolation.interpolate(companion.parsed.data, companion.parsed.ast, environment).data;
+            return { name: companion.name, data, ast: companion.parsed.ast };
+        },
+
+        // Errors found in the merged result are positioned in this document. Keep
+        // those about services and sections this document defines, and say
+        // where values from other files (or an extended service) came from.
+        relateMergedErrors: function(errors, data, merged, fileName) {
+            const depths = data => {
+                const found = new Map();
+                const ancestors = new Set();
+                const walk = (value, path) => {
+                    found.set(path.join('.'), path.length);
+                    if (value !== null && typeof value === 'object' && !ancestors.has(value)) {
+                        ancestors.add(value);
+                        for (const [key, child] of Object.entries(value)) walk(child, [...path, key]);
+                        ancestors.delete(value);
+                    }
+                };
+                walk(data, []);
+                return found;
+            };
+            const own = depths(data);
+            const all = merged.merged ? depths(merged.data) : null;
+
+            return errors.filter(err => {
+                if (err.related) {
+                    // The earlier entry may come from another file or an extended
+                    // service; name the file once other files are merged in
+                    const origin = merged.origins.get(err.related.path) || { file: fileName, line: err.related.line };
+                    const where = all || origin.file !== fileName ? `${origin.file}:${origin.line}` : `line ${origin.line}`;
+                    err.message = err.message.replace(`(line ${err.related.line})`, `(${where})`);
+                    delete err.related;
+                }
+                if (!err.path) return true;
+                if (all) {
+                    // A service or section of this document, or something in it
+                    const depth = Math.min(all.has(err.path) ? all.get(err.path) : err.path.split('.').length, 2);
+                    let path = err.path;
+                    while (path && !(own.has(path) && own.get(path) >= depth)) {
+                        path = path.includes('.') ? path.slice(0, path.lastIndexOf('.')) : '';
+                    }
+                    if (!path) return false;
+                }
+                const origin = merged.origins.get(err.path);
+                if (origin && (origin.file !== fileName || origin.line !== err.line)) {
+                    err.message += ` (from ${origin.file}:${origin.line})`;
+                    // Its fix would edit the wrong file
+                    delete err.fix;
+                }
+                return true;
+            });
+        }
+    };
+
+    // ============================================
+    // DIAGNOSTIC FORMATS
+    // ============================================
+    // Serializes diagnostics for CI and code review tools. Errors may carry a
+    // file (as the CLI sets it); the others belong to options.fileName.
+    const DiagnosticFormatter = {
+        formats: ['json', 'sarif', 'checkstyle', 'junit'],
+
+        toolName: 'docker-yaml-editor',
+
+        // options: fileName ('docker-compose.yml'), files (every checked file,
+        // so clean ones show up too) and customRules for rule descriptions
+        format: function(errors, format, options = {}) {
+            if (!this.formats.includes(format)) {
+                throw new Error(`Unknown format "${format}". Expected one of: ${this.formats.join(', ')}`);
+            }
+            const fileName = options.fileName || 'docker-compose.yml';
+            const diagnostics = (errors || [])
+                .map(err => ({ ...err, file: err.file || fileName }))
+                .sort((a, b) => (a.file < b.file ? -1 : a.file > b.file ? 1 : 0) || a.line - b.line || a.column - b.column);
+            const files = [...new Set([...(options.files || [fileName]), ...diagnostics.map(d => d.file)])];
+            return this[format](diagnostics, files, options.customRules || RuleEngine.customRules);
+        },
+
+        severity: function(diagnostic) {
+            return diagnostic.severity === 'warning' ? 'warning' : 'error';
+        },
+
+        // Field names and order are part of the format; version changes with them
+        json: function(diagnostics, files) {
+            const errors = diagnostics.filter(d => this.severity(d) === 'error').length;
+            return JSON.stringify({
+                version: 1,
+                files,
+                diagnostics: diagnostics.map(d => ({
+                    file: d.file,
+                    line: d.line,
+                    column: d.column,
+                    severity: this.severity(d),
+                    rule: d.rule || null,
+                    message: d.message,
+                    path: d.path || null,
+                    document: d.document || 0
+                })),
+                summary: { errors, warnings: diagnostics.length - errors }
+            }, null, 2);
+        },
 
-            // Skip validation for free-form keys
-            if (this.freeFormKeys.has(key)) return;
+        sarif: function(diagnostics, files, customRules) {
+            const ids = [...new Set(diagnostics.map(d => d.rule || 'yaml-syntax'))].sort();
+            return JSON.stringify({
+                $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+                version: '2.1.0',
+                runs: [{
+                    tool: {
+                        driver: {
+                            name: this.toolName,
+                            rules: ids.map(id => ({
+                                id,
+                                shortDescription: { text: RuleEngine.describe(id, customRules) }
+                            }))
+                        }
+                    },
+                    artifacts: files.map(file => ({ location: this.artifactLocation(file) })),
+                    results: diagnostics.map(d => ({
+                        ruleId: d.rule || 'yaml-syntax',
+                        ruleIndex: ids.indexOf(d.rule || 'yaml-syntax'),
+                        level: this.severity(d),
+                        message: { text: d.message },
+                        locations: [{
+                            physicalLocation: {
+                                artifactLocation: { ...this.artifactLocation(d.file), index: files.indexOf(d.file) },
+                                region: { startLine: d.line, startColumn: d.column }
+                            }
+                        }]
+                    }))
+                }]
+            }, null, 2);
+        },
 
-            // Skip arrays - they contain simple values or objects that are harder to validate
-            if (Array.isArray(config)) return;
+        checkstyle: function(diagnostics, files) {
+            let xml = '<?xml version="1.0" encoding="UTF-8"?>\n<checkstyle version="4.3">\n';
+            for (const file of files) {
+                xml += `  <file name="${this.escapeXml(file)}">\n`;
+                for (const d of diagnostics.filter(d => d.file === file)) {
+                    xml += `    <error line="${d.line}" column="${d.column}" severity="${this.severity(d)}"` +
+                        ` message="${this.escapeXml(d.message)}" source="${this.toolName}.${this.escapeXml(d.rule || 'yaml-syntax')}"/>\n`;
+                }
+                xml += '  </file>\n';
+            }
+            return xml + '</checkstyle>\n';
+        },
 
-            // Validate enum values
-            if (schema.values && typeof config === 'string') {
-                if (!schema.values.includes(config) && !schema.values.some(v => config.startsWith(v.split('[')[0]))) {
-                    const lineNum = this.findKeyLine(lines, key, 0);
-                    errors.push({
-                        line: lineNum,
-                        column: 1,
-                        message: `Invalid value "${config}" for "${key}"`,
-                        validValues: schema.values,
-                        severity: 'warning'
-                    });
+        // One test suite per file and one test case per diagnostic; errors
+        // fail, warnings pass with the warning as output. Clean files get a
+        // single passing case.
+        junit: function(diagnostics, files) {
+            const failures = diagnostics.filter(d => this.severity(d) === 'error').length;
+            const tests = files.reduce((count, file) => count + Math.max(1, diagnostics.filter(d => d.file === file).length), 0);
+            let xml = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+                `<testsuites name="${this.toolName}" tests="${tests}" failures="${failures}" errors="0">\n`;
+            for (const file of files) {
+                const own = diagnostics.filter(d => d.file === file);
+                const name = this.escapeXml(file);
+                xml += `  <testsuite name="${name}" tests="${Math.max(1, own.length)}" failures="${own.filter(d => this.severity(d) === 'error').length}" errors="0">\n`;
+                if (own.length === 0) {
+                    xml += `    <testcase classname="${name}" name="${name}"/>\n`;
                 }
+                for (const d of own) {
+                    const text = this.escapeXml(`${d.file}:${d.line}:${d.column}: ${this.severity(d)}: ${d.message}`);
+                    xml += `    <testcase classname="${name}" name="${d.line}:${d.column} ${this.escapeXml(d.rule || 'yaml-syntax')}">\n`;
+                    xml += this.severity(d) === 'error'
+                        ? `      <failure type="${this.escapeXml(d.rule || 'yaml-syntax')}" message="${this.escapeXml(d.message)}">${text}</failure>\n`
+                        : `      <system-out>${text}</system-out>\n`;
+                    xml += '    </testcase>\n';
+                }
+                xml += '  </testsuite>\n';
             }
+            return xml + '</testsuites>\n';
+        },
 
-            // Validate nested objects
-            if (schema.children && typeof config === 'object') {
-                for (const subKey of Object.keys(config)) {
-                    if (subKey.startsWith('x-')) continue;
-                    // Skip free-form keys
-                    if (this.freeFormKeys.has(subKey)) continue;
+        // Relative paths become URIs relative to %SRCROOT% (the checkout the
+        // report is uploaded from), absolute ones file:// URIs
+        artifactLocation: function(file) {
+            const path = String(file).replace(/\\/g, '/');
+            const uri = path.split('/').map((segment, i) => (i === 0 && /^[A-Za-z]:$/.test(segment) ? segment : encodeURIComponent(segment))).join('/');
+            if (path.startsWith('//')) return { uri: 'file:' + uri };
+            if (path.startsWith('/')) return { uri: 'file://' + uri };
+            if (/^[A-Za-z]:\//.test(path)) return { uri: 'file:///' + uri };
+            return { uri: uri.replace(/^(\.\/)+/, ''), uriBaseId: '%SRCROOT%' };
+        },
 
-                    const subSchema = schema.children[subKey] || schema.children['*'];
-                    if (!subSchema && !schema.children['*']) {
-                        const lineNum = this.findKeyLine(lines, subKey, 0);
-                        errors.push({
-                            line: lineNum,
-                            column: 1,
-                            message: `Unknown key: "${subKey}" in ${context}.${key}`,
-                            validKeys: Object.keys(schema.children).filter(k => k !== '*'),
-                            severity: 'warning'
-                        });
-                    } else if (subSchema) {
-                        this.validateNestedConfig(config[subKey], subKey, subSchema, lines, errors, `${context}.${key}`);
-                    }
-                }
+        // Also drops control characters XML 1.0 does not allow
+        escapeXml: function(text) {
+            return String(text)
+                .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&apos;');
+        }
+    };
+
+    // ============================================
+    // BACKGROUND VALIDATION
+    // ============================================
+    // URL of this script while it loads, so an editor can load it again in a
+    // Web Worker. null when inlined, bundled or not in a browser.
+    const scriptUrl = typeof document !== 'undefined' && document.currentScript ? document.currentScript.src || null : null;
+
+    const ValidationWorker = {
+        // Starts a worker that runs this script and then the given rule
+        // scripts, or returns null when that is not possible (no Worker
+        // support, no script URL, blocked by CSP). The worker is created from
+        // a blob so scripts served from a CDN work too.
+        create: function(scripts = []) {
+            if (typeof Worker === 'undefined' || typeof Blob === 'undefined' || !scriptUrl) return null;
+            let url = null;
+            try {
+                // A blob has no base URL, so relative script paths are resolved here
+                const urls = [scriptUrl, ...scripts.map(src => new URL(src, document.baseURI).href)];
+                url = URL.createObjectURL(new Blob([`importScripts(${urls.map(src => JSON.stringify(src)).join(', ')});`], { type: 'application/javascript' }));
+                const worker = new Worker(url);
+                worker.blobUrl = url;
+                return worker;
+            } catch (e) {
+                if (url) URL.revokeObjectURL(url);
+                return null;
             }
         },
 
-        findKeyLine: function(lines, key, startLine) {
-            const escapedKey = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-            const keyPattern = new RegExp(`^\\s*-?\\s*${escapedKey}\\s*:`);
-            for (let i = startLine; i < lines.length; i++) {
-                if (keyPattern.test(lines[i])) {
-                    return i + 1;
+        terminate: function(worker) {
+            worker.terminate();
+            URL.revokeObjectURL(worker.blobUrl);
+        },
+
+        // Inside the worker: first posts { ready, rules } with the ids of the
+        // rules the worker scripts registered, then answers { id, text,
+        // options } with { id, result } or { id, error }. options are the
+        // editor's validation options. The result carries the diagnostics and
+        // the document ranges only; the editor rebuilds anything else it needs.
+        listen: function(scope) {
+            scope.onmessage = (e) => {
+                const { id, text, options } = e.data;
+                try {
+                    const result = ValidationPipeline.run(text, ValidationPipeline.settings(options));
+                    scope.postMessage({
+                        id,
+                        result: {
+                            parseErrors: result.parseErrors,
+                            errors: result.errors,
+                            isValid: result.isValid,
+                            documents: result.documents.map(doc => ({
+                                index: doc.index,
+                                startLine: doc.startLine,
+                                endLine: doc.endLine,
+                                schemaId: doc.schemaId
+                            }))
+                        }
+                    });
+                } catch (error) {
+                    scope.postMessage({ id, error: error.message });
                 }
-            }
-            return startLine + 1;
+            };
+            // Rule scripts run after this one, so report once they have loaded
+            setTimeout(() => scope.postMessage({ ready: true, rules: [...RuleEngine.customRules.keys()] }), 0);
         }
     };
 
@@ -1221,7 +5079,7 @@
 
         // Priority order for top-level keys
         topLevelKeyPriority: [
-            'version', 'services', 'networks', 'volumes', 'secrets', 'configs'
+            'name', 'version', 'services', 'networks', 'volumes', 'secrets', 'configs', 'include'
         ],
 
         // Priority order for network keys
@@ -1275,7 +5133,7 @@
             'driver', 'options'
         ],
 
-        getSuggestions: function(text, cursorLine, cursorCol) {
+        getSuggestions: function(text, cursorLine, cursorCol, schema = DockerComposeSchema) {
             const lines = text.split('\n');
             const currentLine = lines[cursorLine - 1] || '';
             const beforeCursor = currentLine.slice(0, cursorCol);
@@ -1290,12 +5148,12 @@
 
             if (isStartOfKey || (!isAfterColon && beforeCursor.trim().length > 0)) {
                 // Suggest keys
-                suggestions = this.getKeySuggestions(context);
+                suggestions = this.getKeySuggestions(context, schema);
             } else if (isAfterColon) {
                 // Suggest values
                 const keyMatch = beforeCursor.match(/^\s*(\S+)\s*:/);
                 if (keyMatch) {
-                    suggestions = this.getValueSuggestions(context, keyMatch[1]);
+                    suggestions = this.getValueSuggestions(context, keyMatch[1], schema);
                 }
             }
 
@@ -1327,13 +5185,28 @@
             const context = { path: [], indent: 0 };
             const indentStack = [{ indent: -1, key: 'root' }];
 
+            // Indentation of the key owning the block scalar being skipped
+            let blockScalarIndent = -1;
+
             // Only look at lines BEFORE the current line
             for (let i = 0; i < cursorLine - 1; i++) {
                 const line = lines[i];
                 const trimmed = line.trim();
                 if (trimmed === '' || trimmed.startsWith('#')) continue;
 
+                // A new document starts again at the root
+                if (YamlParser.isDocumentMarker(line)) {
+                    indentStack.length = 1;
+                    blockScalarIndent = -1;
+                    continue;
+                }
+
                 const indent = line.search(/\S/);
+
+                // Block scalar bodies are text, not keys
+                if (blockScalarIndent >= 0 && indent > blockScalarIndent) continue;
+                blockScalarIndent = -1;
+
                 const keyMatch = trimmed.match(/^-?\s*([^:]+):/);
 
                 if (keyMatch) {
@@ -1347,15 +5220,14 @@
 
                     // Only push to context if this key has nested content (empty value or block indicator)
                     // Keys with values like "image: nginx" are leaf nodes, not containers
-                    const hasNestedContent = afterColon === '' ||
-                                            afterColon === '|' ||
-                                            afterColon === '>' ||
-                                            afterColon === '|-' ||
-                                            afterColon === '>-';
+                    const hasNestedContent = afterColon === '' || YamlParser.parseBlockHeader(afterColon) !== null;
 
                     if (hasNestedContent) {
                         indentStack.push({ indent, key });
                     }
+                    if (afterColon !== '' && hasNestedContent) {
+                        blockScalarIndent = indent;
+                    }
                 }
             }
 
@@ -1379,8 +5251,7 @@
             return context;
         },
 
-        getKeySuggestions: function(context) {
-            let schema = DockerComposeSchema;
+        getKeySuggestions: function(context, rootSchema = DockerComposeSchema) {
             let priorityList = this.topLevelKeyPriority;
 
             // Determine context type for priority ordering
@@ -1424,23 +5295,16 @@
             }
 
             // Navigate to correct schema level
-            for (const key of path) {
-                if (schema.children) {
-                    schema = schema.children[key] || schema.children['*'];
-                } else if (schema[key]) {
-                    schema = schema[key];
-                }
-                if (!schema) break;
-            }
+            const schema = this.schemaAt(rootSchema, path);
 
             let keys = [];
-            if (!schema) {
+            if (!schema || schema === rootSchema) {
                 // At top level
-                keys = Object.keys(DockerComposeSchema).filter(k => k !== 'x');
+                keys = Object.keys(rootSchema).filter(k => k !== 'x');
                 return this.sortByPriority(keys, priorityList).map(key => ({
                     label: key,
                     type: 'key',
-                    description: DockerComposeSchema[key].description
+                    description: rootSchema[key].description
                 }));
             }
 
@@ -1456,6 +5320,27 @@
             return [];
         },
 
+        // Follows path (as returned by getContext) down the schema tree. Inside a
+        // list of mappings (long-syntax ports, volumes, ...) the keys come from
+        // the item schema.
+        schemaAt: function(rootSchema, path) {
+            let schema = rootSchema;
+            for (const key of path) {
+                if (schema.children) {
+                    schema = schema.children[key] || schema.children['*'];
+                } else if (schema.items && schema.items.children) {
+                    schema = schema.items.children[key] || schema.items.children['*'];
+                } else if (schema[key]) {
+                    schema = schema[key];
+                }
+                if (!schema) break;
+            }
+            if (schema && !schema.children && schema.items && schema.items.children) {
+                return schema.items;
+            }
+            return schema;
+        },
+
         sortByPriority: function(keys, priorityList) {
             return keys.sort((a, b) => {
                 const aIdx = priorityList.indexOf(a);
@@ -1470,17 +5355,8 @@
             });
         },
 
-        getValueSuggestions: function(context, key) {
-            let schema = DockerComposeSchema;
-
-            for (const pathKey of context.path) {
-                if (schema.children) {
-                    schema = schema.children[pathKey] || schema.children['*'];
-                } else if (schema[pathKey]) {
-                    schema = schema[pathKey];
-                }
-                if (!schema) break;
-            }
+        getValueSuggestions: function(context, key, rootSchema = DockerComposeSchema) {
+            const schema = this.schemaAt(rootSchema, context.path);
 
             if (schema && schema.children && schema.children[key]) {
                 const keySchema = schema.children[key];
@@ -1515,6 +5391,15 @@
                 initialValue: options.initialValue || '',
                 tabSize: options.tabSize || 2,
                 lineNumbers: options.lineNumbers !== false,
+                schema: options.schema || 'auto',
+                environment: null,
+                target: null,
+                rules: {},
+                companions: [],
+                fileName: 'docker-compose.yml',
+                debounce: 0,
+                worker: false,
+                workerScripts: [],
                 ...options
             };
 
@@ -1522,16 +5407,39 @@
             this._isValid = true;
             this._errors = [];
             this._parseErrors = [];
+            this._documents = [];
             this._listeners = { change: [], validate: [] };
             this._currentTooltip = null;
+            this._tooltipActions = [];
+            this._tooltipLine = null;
+            this._tooltipTimer = null;
             this._autocompleteVisible = false;
             this._autocompleteItems = [];
             this._autocompleteIndex = 0;
+            this._customSchema = null;
+            this._customRules = new Map();
+            this._companions = new Map();
+            this._validationId = 0;
+            this._validationTimer = null;
+            this._worker = null;
+            this._workerRules = null;
+            this._highlightCache = [];
+            this._gutterKey = null;
+            for (const companion of this.options.companions || []) {
+                this._setCompanion(companion.name, companion.text, companion);
+            }
+            this._applySchemaOption(this.options.schema);
+            this._environment = Interpolation.normalizeEnvironment(this.options.environment);
+            this._applyTargetOption(this.options.target);
+            RuleEngine.checkRules(this.options.rules);
 
             this._init();
         }
 
         _init() {
+            if (this.options.worker) {
+                this._startWorker();
+            }
             this._createDOM();
             this._setupTheme();
             this._attachEventListeners();
@@ -1608,10 +5516,31 @@
                 this._handleMouseMove(e);
             });
 
-            this._textarea.addEventListener('mouseleave', () => {
+            this._textarea.addEventListener('mouseleave', (e) => {
+                if (!this._tooltip.contains(e.relatedTarget)) {
+                    this._releaseTooltip();
+                }
+            });
+
+            // Quick fixes offered in the tooltip
+            this._tooltip.addEventListener('mouseenter', () => {
+                clearTimeout(this._tooltipTimer);
+                this._tooltipTimer = null;
+            });
+
+            this._tooltip.addEventListener('mouseleave', () => {
                 this._hideTooltip();
             });
 
+            this._tooltip.addEventListener('click', (e) => {
+                const button = e.target.closest('.dye-tooltip-action');
+                const action = button && this._tooltipActions[Number(button.dataset.action)];
+                if (!action) return;
+                this._hideTooltip();
+                action.apply();
+                this._textarea.focus();
+            });
+
             // Resize
             this._setupResize();
 
@@ -1659,11 +5588,103 @@
             this._value = this._textarea.value;
             this._updateHighlighting();
             this._updateGutter();
-            this._validate();
-            this._emit('change', { value: this._value, isValid: this._isValid });
+            this._scheduleValidation();
+            this._emit('change', { value: this._value });
+        }
+
+        // Typing validates once the debounce delay has passed without input,
+        // in the worker if there is one. Custom rules are functions that
+        // cannot be sent to the worker, so with any registered the main
+        // thread validates instead.
+        _scheduleValidation() {
+            clearTimeout(this._validationTimer);
+            this._validationTimer = null;
+            if (!this.options.debounce && !this._worker) {
+                this._validate();
+                return;
+            }
+            this._validationId++; // Drops results for older text still in the worker
+            this._validationTimer = setTimeout(() => {
+                this._validationTimer = null;
+                if (this._workerCanValidate()) {
+                    this._validateInWorker();
+                } else {
+                    this._validate();
+                }
+            }, this.options.debounce || 0);
+        }
+
+        _startWorker() {
+            this._worker = ValidationWorker.create(this.options.workerScripts);
+            if (!this._worker) return;
+
+            this._worker.onmessage = (e) => {
+                if (e.data.ready) {
+                    this._workerRules = new Set(e.data.rules);
+                    return;
+                }
+                // Newer text has been validated or sent since
+                if (e.data.id !== this._validationId) return;
+                if (e.data.error) {
+                    this._stopWorker();
+                    this._validate();
+                    return;
+                }
+                this._applyValidation(e.data.result);
+            };
+            // A worker that fails to load (or crashes) leaves validation to the main thread
+            this._worker.onerror = (e) => {
+                if (e.preventDefault) e.preventDefault();
+                this._stopWorker();
+                this._validate();
+            };
+        }
+
+        _stopWorker() {
+            if (this._worker) {
+                ValidationWorker.terminate(this._worker);
+                this._worker = null;
+                this._workerRules = null;
+            }
+        }
+
+        // Custom rules are functions and cannot be sent to the worker, so the
+        // worker only validates when it loaded every registered rule itself
+        // (see the workerScripts option). Until it has reported which rules it
+        // has, and whenever it lacks one, validation runs on the main thread.
+        _workerCanValidate() {
+            if (!this._worker || !this._workerRules) return false;
+            return [...RuleEngine.customRules.keys(), ...this._customRules.keys()].every(id => this._workerRules.has(id));
+        }
+
+        _validateInWorker() {
+            this._worker.postMessage({
+                id: ++this._validationId,
+                text: this._value,
+                options: {
+                    schema: this.options.schema,
+                    environment: this._environment,
+                    target: this.options.target,
+                    rules: this.options.rules || {},
+                    companions: [...this._companions.values()].map(c => ({ name: c.name, text: c.text, merge: c.merge })),
+                    fileName: this.options.fileName
+                }
+            });
         }
 
         _handleKeyDown(e) {
+            // Ctrl+. applies the first quick fix on the cursor line
+            if (e.key === '.' && (e.ctrlKey || e.metaKey)) {
+                const line = this._value.slice(0, this._textarea.selectionStart).split('\n').length;
+                const action = this.getCodeActions(line)[0];
+                if (action) {
+                    e.preventDefault();
+                    this._hideTooltip();
+                    action.apply();
+                }
+                return;
+            }
+
             // Handle Tab
             if (e.key === 'Tab') {
                 e.preventDefault();
@@ -1755,7 +5776,7 @@
             const line = lines.length;
             const col = lines[lines.length - 1].length;
 
-            const suggestions = AutocompleteEngine.getSuggestions(this._value, line, col);
+            const suggestions = AutocompleteEngine.getSuggestions(this._value, line, col, this._schemaAt(line));
 
             if (suggestions.length === 0) {
                 this._hideAutocomplete();
@@ -1895,15 +5916,29 @@
             const parseError = this._parseErrors.find(err => err.line === line);
 
             if (error || parseError) {
+                // Keep a tooltip with quick fixes in place so they can be clicked
+                if (this._tooltipActions.length > 0 && this._tooltipLine === line) {
+                    clearTimeout(this._tooltipTimer);
+                    this._tooltipTimer = null;
+                    return;
+                }
                 const err = error || parseError;
                 let content = `<div class="dye-tooltip-error">${this._escapeHtml(err.message)}</div>`;
-                if (err.validValues) {
+                // The message already names the likely key or value
+                if (err.validValues && !err.suggestion) {
                     content += `<div class="dye-tooltip-values">Valid values: ${err.validValues.slice(0, 10).join(', ')}${err.validValues.length > 10 ? '...' : ''}</div>`;
                 }
-                if (err.validKeys) {
+                if (err.validKeys && !err.suggestion) {
                     content += `<div class="dye-tooltip-keys">Valid keys: ${err.validKeys.slice(0, 10).join(', ')}${err.validKeys.length > 10 ? '...' : ''}</div>`;
                 }
-                this._showTooltip(content, e.clientX, e.clientY);
+                this._showTooltip(content, e.clientX, e.clientY, this.getCodeActions(line));
+                this._tooltipLine = line;
+                return;
+            }
+
+            // Give the pointer time to reach a tooltip with quick fixes
+            if (this._tooltipActions.length > 0) {
+                this._releaseTooltip();
                 return;
             }
 
@@ -1911,6 +5946,30 @@
             const lines = this._value.split('\n');
             if (line >= 1 && line <= lines.length) {
                 const lineText = lines[line - 1];
+
+                // Show what a variable resolves to; nested variables come after
+                // the one whose default contains them, so the innermost wins
+                const variable = Interpolation.variables(Interpolation.parse(lineText).parts)
+                    .filter(v => col >= v.start && col <= v.end)
+                    .pop();
+                if (variable) {
+                    this._showTooltip(this._getVariableDocumentation(lineText.slice(variable.start, variable.end), variable.name), e.clientX, e.clientY);
+                    return;
+                }
+
+                // Show what an alias expands to
+                const aliasPattern = /\*([^\s,[\]{}]+)/g;
+                let aliasMatch;
+                while ((aliasMatch = aliasPattern.exec(lineText)) !== null) {
+                    if (col >= aliasMatch.index && col <= aliasMatch.index + aliasMatch[0].length) {
+                        const doc = this._getAliasDocumentation(aliasMatch[1], line);
+                        if (doc) {
+                            this._showTooltip(doc, e.clientX, e.clientY);
+                            return;
+                        }
+                    }
+                }
+
                 const keyMatch = lineText.match(/^\s*-?\s*([a-zA-Z_][a-zA-Z0-9_.-]*)\s*:/);
                 if (keyMatch) {
                     const key = keyMatch[1];
@@ -1933,25 +5992,17 @@
         _getKeyDocumentation(line, key) {
             const lines = this._value.split('\n');
             const context = AutocompleteEngine.getContext(lines, line);
-
-            let schema = DockerComposeSchema;
+            const rootSchema = this._schemaAt(line);
 
             // Navigate to current context
-            for (const pathKey of context.path) {
-                if (schema.children) {
-                    schema = schema.children[pathKey] || schema.children['*'];
-                } else if (schema[pathKey]) {
-                    schema = schema[pathKey];
-                }
-                if (!schema) break;
-            }
+            const schema = AutocompleteEngine.schemaAt(rootSchema, context.path);
 
             // Find key in schema
             let keySchema = null;
             if (schema && schema.children) {
                 keySchema = schema.children[key] || (schema.children['*'] ? schema.children['*'].children?.[key] : null);
-            } else if (DockerComposeSchema[key]) {
-                keySchema = DockerComposeSchema[key];
+            } else if (rootSchema[key]) {
+                keySchema = rootSchema[key];
             }
 
             if (!keySchema) return null;
@@ -1975,9 +6026,58 @@
             return html;
         }
 
-        _showTooltip(content, x, y) {
+        _getAliasDocumentation(name, line) {
+            // Anchors are scoped to the document they are defined in
+            this._loadDocuments();
+            const doc = this._documentAt(line);
+            const anchor = doc && doc.anchors[name];
+            if (!anchor) return null;
+
+            const value = anchor.value;
+            let expansion = (value !== null && typeof value === 'object')
+                ? YamlParser.stringify(value).replace(/\n$/, '')
+                : YamlParser.valueToString(value);
+            const expansionLines = expansion.split('\n');
+            if (expansionLines.length > 20) {
+                expansion = expansionLines.slice(0, 20).join('\n') + '\n...';
+            }
+
+            let html = `<div class="dye-tooltip-title">*${this._escapeHtml(name)}</div>`;
+            html += `<div class="dye-tooltip-desc">Alias of &amp;${this._escapeHtml(name)} (line ${anchor.line}), expands to:</div>`;
+            html += `<pre class="dye-tooltip-expansion">${this._escapeHtml(expansion)}</pre>`;
+            return html;
+        }
+
+        _getVariableDocumentation(expression, name) {
+            let html = `<div class="dye-tooltip-title">${this._escapeHtml(expression)}</div>`;
+            if (!this._environment) {
+                html += '<div class="dye-tooltip-desc">No environment set; use setEnvironment() to resolve variables</div>';
+                return html;
+            }
+
+            const isSet = Object.prototype.hasOwnProperty.call(this._environment, name);
+            const resolved = Interpolation.resolve(expression, this._environment);
+            html += `<div class="dye-tooltip-desc">${this._escapeHtml(name)} is ${isSet ? `set to "${this._escapeHtml(this._environment[name])}"` : 'not set'}</div>`;
+            if (resolved.errors.some(err => err.severity === 'error')) {
+                html += `<div class="dye-tooltip-error">${this._escapeHtml(resolved.errors[0].message)}</div>`;
+            } else if (expression !== `\${${name}}` && expression !== `$${name}`) {
+                html += `<div class="dye-tooltip-type">Resolves to: "${this._escapeHtml(resolved.value)}"</div>`;
+            }
+            return html;
+        }
+
+        _showTooltip(content, x, y, actions = []) {
+            clearTimeout(this._tooltipTimer);
+            this._tooltipTimer = null;
+            this._tooltipActions = actions;
+            if (actions.length > 0) {
+                content += '<div class="dye-tooltip-actions">' + actions.map((action, i) =>
+                    `<button type="button" class="dye-tooltip-action" data-action="${i}">${this._escapeHtml(action.title)}</button>`
+                ).join('') + '</div>';
+            }
+
             // Apply theme class to tooltip (it's in body, not container)
-            this._tooltip.className = 'dye-tooltip ' +
+            this._tooltip.className = (actions.length > 0 ? 'dye-tooltip dye-tooltip-interactive ' : 'dye-tooltip ') +
                 (this.container.classList.contains('dye-theme-dark') ? 'dye-theme-dark' : 'dye-theme-light');
             this._tooltip.innerHTML = content;
             this._tooltip.style.display = 'block';
@@ -2005,47 +6105,87 @@
         }
 
         _hideTooltip() {
+            clearTimeout(this._tooltipTimer);
+            this._tooltipTimer = null;
+            this._tooltipActions = [];
+            this._tooltipLine = null;
             this._tooltip.style.display = 'none';
         }
 
-        _updateHighlighting() {
-            const tokens = YamlTokenizer.tokenize(this._value);
-            let html = '';
+        // Tooltips with quick fixes stay up briefly so the pointer can reach them
+        _releaseTooltip() {
+            if (this._tooltipActions.length === 0) {
+                this._hideTooltip();
+            } else if (!this._tooltipTimer) {
+                this._tooltipTimer = setTimeout(() => this._hideTooltip(), 400);
+            }
+        }
 
-            for (let i = 0; i < tokens.length; i++) {
-                const lineTokens = tokens[i];
-                const lineNum = i + 1;
-                const hasError = this._errors.some(e => e.line === lineNum) ||
-                                 this._parseErrors.some(e => e.line === lineNum);
+        // Re-renders only the lines whose text, error marker or tokenizer
+        // state (open flow collections, block scalars) changed
+        _updateHighlighting() {
+            const lines = this._value.split('\n');
+            const errorLines = this._errorLines();
+            const layer = this._highlightLayer;
+            const cache = this._highlightCache;
+            if (layer.children.length !== cache.length) {
+                layer.innerHTML = '';
+                cache.length = 0;
+            }
 
-                html += `<div class="dye-line ${hasError ? 'dye-line-error' : ''}">`;
+            let state = { flowDepth: 0, blockScalar: null };
+            for (let i = 0; i < lines.length; i++) {
+                const hasError = errorLines.has(i + 1);
+                const key = `${hasError ? 'E' : ''}${JSON.stringify(state)}\n${lines[i]}`;
+                if (cache[i] && cache[i].key === key) {
+                    state = JSON.parse(cache[i].state);
+                    continue;
+                }
 
-                for (const token of lineTokens) {
+                let html = '';
+                for (const token of YamlTokenizer.tokenizeLine(lines[i], i, state)) {
                     html += `<span class="dye-token dye-${token.type}">${this._escapeHtml(token.value)}</span>`;
                     if (token.comment) {
                         html += `<span class="dye-token dye-comment">${this._escapeHtml(token.comment.value)}</span>`;
                     }
                 }
-
-                html += '</div>';
+                const div = document.createElement('div');
+                div.className = `dye-line ${hasError ? 'dye-line-error' : ''}`;
+                div.innerHTML = html;
+                if (cache[i]) {
+                    layer.replaceChild(div, layer.children[i]);
+                } else {
+                    layer.appendChild(div);
+                }
+                cache[i] = { key, state: JSON.stringify(state) };
             }
 
-            this._highlightLayer.innerHTML = html;
+            while (cache.length > lines.length) {
+                layer.removeChild(layer.lastChild);
+                cache.pop();
+            }
         }
 
         _updateGutter() {
-            const lines = this._value.split('\n');
-            let html = '';
+            const lineCount = this._value.split('\n').length;
+            const errorLines = this._errorLines();
+            // Line numbers only change with the line count or the errors
+            const key = `${lineCount}:${[...errorLines].join(',')}`;
+            if (key === this._gutterKey) return;
+            this._gutterKey = key;
 
-            for (let i = 1; i <= lines.length; i++) {
-                const hasError = this._errors.some(e => e.line === i) ||
-                                 this._parseErrors.some(e => e.line === i);
-                html += `<div class="dye-gutter-line ${hasError ? 'dye-gutter-error' : ''}">${i}</div>`;
+            let html = '';
+            for (let i = 1; i <= lineCount; i++) {
+                html += `<div class="dye-gutter-line ${errorLines.has(i) ? 'dye-gutter-error' : ''}">${i}</div>`;
             }
 
             this._gutter.innerHTML = html;
         }
 
+        _errorLines() {
+            return new Set([...this._errors, ...this._parseErrors].map(err => err.line));
+        }
+
         _syncScroll() {
             this._highlightLayer.scrollTop = this._textarea.scrollTop;
             this._highlightLayer.scrollLeft = this._textarea.scrollLeft;
@@ -2057,22 +6197,76 @@
         }
 
         _validate() {
-            // Parse YAML
-            const parseResult = YamlParser.parse(this._value);
-            this._parseErrors = parseResult.errors;
-
-            // Validate against Docker Compose schema
-            this._errors = DockerComposeValidator.validate(this._value, parseResult.data);
+            // Supersedes pending and running background validations
+            clearTimeout(this._validationTimer);
+            this._validationTimer = null;
+            this._validationId++;
+            this._applyValidation(ValidationPipeline.run(this._value, this._settings()));
+        }
 
-            // Combine errors
-            const allErrors = [...this._parseErrors, ...this._errors];
-            this._isValid = allErrors.filter(e => e.severity === 'error' || !e.severity).length === 0;
+        _applyValidation(result) {
+            this._parseErrors = result.parseErrors;
+            this._errors = result.errors;
+            this._documents = result.documents;
+            this._isValid = result.isValid;
+            // Results from the worker come with document ranges and schema ids only
+            for (const doc of this._documents) {
+                if (!doc.schema) doc.schema = this._customSchema ? this._customSchema.schema : SchemaRegistry.get(doc.schemaId);
+            }
 
             // Update UI
             this._updateHighlighting();
             this._updateGutter();
 
-            this._emit('validate', { isValid: this._isValid, errors: allErrors });
+            this._emit('validate', { isValid: this._isValid, errors: [...this._parseErrors, ...this._errors] });
+        }
+
+        // The editor's options and state as ValidationPipeline settings
+        _settings() {
+            return {
+                schema: this.options.schema,
+                customSchema: this._customSchema,
+                environment: this._environment,
+                target: this.options.target,
+                rules: this.options.rules || {},
+                companions: this._companions,
+                fileName: this.options.fileName,
+                customRules: new Map([...RuleEngine.customRules, ...this._customRules])
+            };
+        }
+
+        _setCompanion(name, text, options) {
+            this._companions.set(name, ValidationPipeline.companion(name, text, options));
+        }
+
+        _documentAt(line) {
+            return this._documents.find(doc => line >= doc.startLine && line <= doc.endLine) || this._documents[0];
+        }
+
+        // The documents with their text, data, anchors and merged
+        // configuration, parsed again when the worker validated them
+        _loadDocuments() {
+            if (this._documents.every(doc => doc.ast)) return this._documents;
+            const settings = this._settings();
+            this._documents = YamlParser.parse(this._value).documents;
+            this._documents.forEach(doc => ValidationPipeline.prepareDocument(doc, settings));
+            return this._documents;
+        }
+
+        _schemaAt(line) {
+            const doc = this._documentAt(line);
+            return doc && doc.schema ? doc.schema : ValidationPipeline.resolveSchema(null, this._settings()).schema;
+        }
+
+        // A JSON Schema given as option or to setSchema() applies to every document
+        _applySchemaOption(schema) {
+            this._customSchema = ValidationPipeline.customSchema(schema);
+            this.options.schema = schema || 'auto';
+        }
+
+        _applyTargetOption(target) {
+            ValidationPipeline.checkTarget(target);
+            this.options.target = target || null;
         }
 
         _setValue(value, triggerEvents = true) {
@@ -2083,7 +6277,7 @@
             this._validate();
 
             if (triggerEvents) {
-                this._emit('change', { value: this._value, isValid: this._isValid });
+                this._emit('change', { value: this._value });
             }
         }
 
@@ -2116,6 +6310,83 @@
             return [...this._parseErrors, ...this._errors];
         }
 
+        // One entry per "---" separated document; lines are 1-based in the
+        // full text and errors are those attributed to the document
+        getDocuments() {
+            return ValidationPipeline.describeDocuments(this._loadDocuments(), this.getErrors());
+        }
+
+        // Structured edits that keep comments and formatting intact. In a
+        // multi-document file, documentIndex picks the "---" separated
+        // document; without it the document that holds the path is edited,
+        // or the one with the cursor when several (or none) do.
+        setIn(path, value, documentIndex) {
+            this._editDocument(path, documentIndex, text => YamlDocumentEditor.setIn(text, path, value));
+        }
+
+        deleteIn(path, documentIndex) {
+            this._editDocument(path, documentIndex, text => YamlDocumentEditor.deleteIn(text, path));
+        }
+
+        insertIn(path, index, value, documentIndex) {
+            this._editDocument(path, documentIndex, text => YamlDocumentEditor.insertIn(text, path, index, value));
+        }
+
+        // Applies error.fix (e.g. removing an unused declaration) to the
+        // document the error belongs to. Returns false if there is no fix.
+        applyFix(error) {
+            if (!error || !error.fix) return false;
+            this._editDocument(null, error.document || 0, text =>
+                error.fix.edits.reduce((result, edit) => YamlDocumentEditor.applyEdit(result, edit), text));
+            if (error.fix.cursor) this._placeCursor(error.fix.cursor, error.document || 0);
+            return true;
+        }
+
+        // Puts the cursor at the end of the value at path, or inside its
+        // quotes, so the user can type it
+        _placeCursor(path, documentIndex) {
+            const doc = YamlParser.parse(this._value).documents[documentIndex];
+            const found = doc ? YamlParser.findNodePath(doc.ast, path) : [];
+            if (found.length !== path.length) return;
+            const node = found[found.length - 1].value;
+            const quoted = node.type === 'scalar' && (node.style === 'double' || node.style === 'single');
+            const offset = YamlDocumentEditor.offsetOf(this._value.split('\n'), node.end) - (quoted ? 1 : 0);
+            this._textarea.focus();
+            this._textarea.selectionStart = this._textarea.selectionEnd = offset;
+        }
+
+        // Replaces one document of the text with edit(documentText). When
+        // several documents could hold the path, the cursor's is edited.
+        _editDocument(path, documentIndex, edit) {
+            // editDocument parses the text again: with background validation
+            // _documents can lag behind
+            const cursorLine = this._value.slice(0, this._textarea.selectionStart).split('\n').length;
+            this._setValue(YamlDocumentEditor.editDocument(this._value, path, documentIndex, edit, cursorLine));
+        }
+
+        // Quick fixes for the diagnostics on a line (1-based), each
+        // { title, error, edits, apply() }
+        getCodeActions(line) {
+            return this.getErrors()
+                .filter(err => err.line === line && err.fix)
+                .map(err => ({
+                    title: err.fix.title,
+                    error: err,
+                    edits: err.fix.edits,
+                    apply: () => this.applyFix(err)
+                }));
+        }
+
+        // Serializes errors (default: getErrors()) as 'json', 'sarif',
+        // 'checkstyle' or 'junit', attributed to the fileName option
+        formatDiagnostics(errors, format, options = {}) {
+            return DiagnosticFormatter.format(errors || this.getErrors(), format, {
+                fileName: this.options.fileName,
+                customRules: new Map([...RuleEngine.customRules, ...this._customRules]),
+                ...options
+            });
+        }
+
         on(event, callback) {
             if (this._listeners[event]) {
                 this._listeners[event].push(callback);
@@ -2125,6 +6396,61 @@
             };
         }
 
+        // Accepts 'auto', a built-in schema id or a draft-07 JSON Schema document
+        setSchema(schema) {
+            this._applySchemaOption(schema);
+            this._validate();
+        }
+
+        // Registers another file of the project: by default a base file merged
+        // before this one (-f base.yml -f this.yml); with { merge: false } only
+        // a target for extends.file. Re-adding a name replaces the file.
+        addCompanion(name, text, options) {
+            this._setCompanion(name, text, options);
+            this._validate();
+        }
+
+        removeCompanion(name) {
+            this._companions.delete(name);
+            this._validate();
+        }
+
+        // The merged configuration of a document as read-only YAML, each line
+        // commented with the file and line its value came from. origins maps
+        // dotted paths to { file, line, column }.
+        getMergedView(index = 0) {
+            const doc = this._loadDocuments()[index];
+            return doc && doc.merged ? ValidationPipeline.mergedView(doc) : null;
+        }
+
+        // Adds a rule for this editor only; see DockerYamlEditor.registerRule().
+        // Returns a function that removes it again.
+        registerRule(id, fn, options) {
+            const rule = RuleEngine.createRule(id, fn, options);
+            this._customRules.set(id, rule);
+            this._validate();
+            return () => {
+                if (this._customRules.get(id) !== rule) return;
+                this._customRules.delete(id);
+                this._validate();
+            };
+        }
+
+        // 'stack' or 'compose' to check for the runtime the file is written
+        // for; null checks the schema only
+        setTarget(target) {
+            this._applyTargetOption(target);
+            this._validate();
+        }
+
+        // Variables for ${VAR} interpolation, as an object or .env file text.
+        // null leaves variables unresolved.
+        setEnvironment(env) {
+            this.options.environment = env;
+            this._environment = Interpolation.normalizeEnvironment(env);
+            this._validate();
+        }
+
         setTheme(theme) {
             if (theme === 'auto') {
                 this._setupTheme();
@@ -2139,6 +6465,9 @@
 
         destroy() {
             this._listeners = { change: [], validate: [] };
+            clearTimeout(this._tooltipTimer);
+            clearTimeout(this._validationTimer);
+            this._stopWorker();
             // Remove tooltip from body
             if (this._tooltip && this._tooltip.parentNode) {
                 this._tooltip.parentNode.removeChild(this._tooltip);
@@ -2157,6 +6486,81 @@
         return new DockerYamlEditor(container, options);
     };
 
+    // Adds a rule for every editor. fn(context) reports diagnostics through
+    // context.report(); they can be configured with the rules option and
+    // suppressed with "# dye-disable" comments like built-in ones. Editors
+    // pick the rule up on their next validation. Returns a function that
+    // removes it again.
+    DockerYamlEditor.registerRule = function(id, fn, options) {
+        const rule = RuleEngine.createRule(id, fn, options);
+        RuleEngine.customRules.set(id, rule);
+        return () => {
+            if (RuleEngine.customRules.get(id) === rule) RuleEngine.customRules.delete(id);
+        };
+    };
+
+    // Validates text without an editor or DOM, e.g. in Node or CI. options
+    // are the editor's validation options (schema, environment, target, rules,
+    // companions, fileName) and rules registered with registerRule() apply.
+    // Returns { isValid, errors, documents } as isValid, getErrors() and
+    // getDocuments() would for an editor holding the text.
+    DockerYamlEditor.validate = function(text, options) {
+        const result = ValidationPipeline.run(String(text || ''), ValidationPipeline.settings(options));
+        const errors = [...result.parseErrors, ...result.errors];
+        return {
+            isValid: result.isValid,
+            errors,
+            documents: ValidationPipeline.describeDocuments(result.documents, errors)
+        };
+    };
+
+    // Serializes diagnostics from validate() or getErrors() as 'json',
+    // 'sarif' (2.1.0), 'checkstyle' or 'junit'. options: fileName for
+    // errors without a file, files to list clean files too.
+    DockerYamlEditor.formatDiagnostics = function(errors, format, options) {
+        return DiagnosticFormatter.format(errors, format, options);
+    };
+
+    DockerYamlEditor.formats = DiagnosticFormatter.formats;
+
+    // The merged configuration of one document, as editor.getMergedView()
+    // returns it, or null if there is no such document. options as for
+    // validate(); companions are merged before the text.
+    DockerYamlEditor.merge = function(text, options, documentIndex = 0) {
+        const settings = ValidationPipeline.settings(options);
+        const doc = YamlParser.parse(String(text || '')).documents[documentIndex];
+        if (!doc) return null;
+        ValidationPipeline.prepareDocument(doc, settings);
+        return ValidationPipeline.mergedView(doc);
+    };
+
+    // Round-trip edits of YAML text, as the editor's setIn, deleteIn and
+    // insertIn: without documentIndex the document that holds the path
+    // (else the first) is edited. Return the new text.
+    DockerYamlEditor.setIn = function(text, path, value, documentIndex) {
+        return YamlDocumentEditor.editDocument(String(text || ''), path, documentIndex, doc => YamlDocumentEditor.setIn(doc, path, value));
+    };
+
+    DockerYamlEditor.deleteIn = function(text, path, documentIndex) {
+        return YamlDocumentEditor.editDocument(String(text || ''), path, documentIndex, doc => YamlDocumentEditor.deleteIn(doc, path));
+    };
+
+    DockerYamlEditor.insertIn = function(text, path, index, value, documentIndex) {
+        return YamlDocumentEditor.editDocument(String(text || ''), path, documentIndex, doc => YamlDocumentEditor.insertIn(doc, path, index, value));
+    };
+
+    // Parses YAML without validating it. Returns { data, errors, anchors,
+    // ast, documents } for the first document, with every document (and
+    // its data and ast) in documents.
+    DockerYamlEditor.parse = function(text) {
+        return YamlParser.parse(String(text || ''));
+    };
+
+    // Loaded into a Web Worker by an editor (see ValidationWorker)
+    if (typeof document === 'undefined' && typeof importScripts === 'function' && typeof self !== 'undefined') {
+        ValidationWorker.listen(self);
+    }
+
     // Export
     if (typeof module !== 'undefined' && module.exports) {
         module.exports = DockerYamlEditor;
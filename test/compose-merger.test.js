@@ -0,0 +1,115 @@
+'use strict';
+
+// Tests for merging companion files and resolving "extends": the merged data,
+// the file and line each value came from, and the problems found on the way.
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const DockerYamlEditor = require(path.join(__dirname, '..', 'docker-yaml-editor.js'));
+
+const BASE = [
+    'services:',
+    '  web:',
+    '    image: app:1',
+    '    ports:',
+    '      - "80:80"',
+    '    environment:',
+    '      - A=1',
+    '      - B=2',
+    '    volumes:',
+    '      - ./a:/data',
+    '      - ./logs:/logs',
+    '    command: ["serve", "--dev"]',
+    '  base:',
+    '    image: base:1',
+    '    restart: always',
+    ''
+].join('\n');
+
+function merge(text, options = {}) {
+    return DockerYamlEditor.merge(text, {
+        companions: [{ name: 'docker-compose.yml', text: BASE }],
+        fileName: 'prod.yml',
+        ...options
+    });
+}
+
+test('later files override scalars and replace commands', () => {
+    const { data } = merge('services:\n  web:\n    image: app:2\n    command: ["serve"]\n');
+    assert.strictEqual(data.services.web.image, 'app:2');
+    assert.deepStrictEqual(data.services.web.command, ['serve']);
+    assert.deepStrictEqual(data.services.base, { image: 'base:1', restart: 'always' });
+});
+
+test('ports are appended without duplicates', () => {
+    const { data } = merge('services:\n  web:\n    ports:\n      - "80:80"\n      - "443:443"\n');
+    assert.deepStrictEqual(data.services.web.ports, ['80:80', '443:443']);
+});
+
+test('environment merges by variable name in list or mapping form', () => {
+    const mapped = merge('services:\n  web:\n    environment:\n      B: 3\n      C: 4\n').data;
+    assert.deepStrictEqual(mapped.services.web.environment, { A: '1', B: 3, C: 4 });
+    const listed = merge('services:\n  web:\n    environment:\n      - B=3\n').data;
+    assert.deepStrictEqual(listed.services.web.environment, { A: '1', B: '3' });
+});
+
+test('volumes merge by container path', () => {
+    const { data } = merge('services:\n  web:\n    volumes:\n      - ./b:/data\n      - cache:/cache\n');
+    assert.deepStrictEqual(data.services.web.volumes, ['./b:/data', './logs:/logs', 'cache:/cache']);
+});
+
+test('every value remembers the file and line it came from', () => {
+    const { origins, text } = merge('services:\n  web:\n    image: app:2\n    ports:\n      - "443:443"\n');
+    assert.deepStrictEqual(origins['services.web.image'], { file: 'prod.yml', line: 3, column: 5 });
+    assert.strictEqual(origins['services.web.ports.0'].file, 'docker-compose.yml');
+    assert.strictEqual(origins['services.web.ports.0'].line, 5);
+    assert.deepStrictEqual(origins['services.web.ports.1'], { file: 'prod.yml', line: 5, column: 9 });
+    assert.match(text, /^ {4}image: app:2 {2}# prod\.yml:3$/m);
+    assert.match(text, /^ {6}- "80:80" {2}# docker-compose\.yml:5$/m);
+});
+
+test('companions marked merge: false are not merged', () => {
+    const { data } = DockerYamlEditor.merge('services:\n  web:\n    image: app:2\n', {
+        companions: [{ name: 'docker-compose.yml', text: BASE, merge: false }]
+    });
+    assert.deepStrictEqual(data, { services: { web: { image: 'app:2' } } });
+});
+
+test('resolved extends are merged in and left out of the view', () => {
+    const { data, origins } = merge('services:\n  worker:\n    extends: base\n    restart: "no"\n');
+    assert.deepStrictEqual(data.services.worker, { image: 'base:1', restart: 'no' });
+    assert.strictEqual(origins['services.worker.image'].file, 'docker-compose.yml');
+    assert.strictEqual(origins['services.worker.extends'], undefined);
+
+    const fromFile = DockerYamlEditor.merge('services:\n  worker:\n    extends:\n      file: common.yml\n      service: base\n', {
+        companions: [{ name: 'common.yml', text: BASE, merge: false }]
+    }).data;
+    assert.deepStrictEqual(fromFile.services.worker, { image: 'base:1', restart: 'always' });
+});
+
+test('extends that cannot be resolved stay in the view', () => {
+    const { data } = merge('services:\n  a:\n    extends: missing\n  b:\n    extends: a\n  c:\n    extends:\n      file: other.yml\n      service: x\n');
+    assert.deepStrictEqual(data.services.a, { extends: 'missing' });
+    assert.deepStrictEqual(data.services.b, { extends: 'a' });
+    assert.deepStrictEqual(data.services.c, { extends: { file: 'other.yml', service: 'x' } });
+
+    const messages = DockerYamlEditor.validate('services:\n  a:\n    extends: missing\n    image: x:1\n').errors.map(error => error.message);
+    assert.ok(messages.includes('Service "a" extends undefined service "missing"'), messages.join('\n'));
+});
+
+test('port conflicts with a companion name the other file and line', () => {
+    const result = DockerYamlEditor.validate('services:\n  api:\n    image: api:1\n    ports:\n      - "80:80"\n', {
+        companions: [{ name: 'docker-compose.yml', text: BASE }],
+        fileName: 'prod.yml'
+    });
+    const conflict = result.errors.find(error => /already published/.test(error.message));
+    assert.ok(conflict, JSON.stringify(result.errors, null, 2));
+    assert.strictEqual(conflict.message, 'Host port 80/tcp is already published by service "web" (docker-compose.yml:5)');
+    assert.strictEqual(conflict.line, 5);
+});
+
+test('a missing document gives null', () => {
+    assert.strictEqual(DockerYamlEditor.merge('a: 1\n', {}, 1), null);
+});
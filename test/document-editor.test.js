@@ -0,0 +1,138 @@
+'use strict';
+
+// Round-trip tests for the structured edits: parse -> edit -> parse must give
+// the edited data back, with comments and layout around the edit intact.
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const DockerYamlEditor = require(path.join(__dirname, '..', 'docker-yaml-editor.js'));
+
+function parse(text) {
+    const result = DockerYamlEditor.parse(text);
+    assert.deepStrictEqual(result.errors, [], `unexpected parse errors in:\n${text}`);
+    return result.data;
+}
+
+// Applies setIn and checks the value reads back and nothing else changed
+function assertSetIn(text, keyPath, value) {
+    const expected = parse(text);
+    let target = expected;
+    keyPath.slice(0, -1).forEach(key => { target = target[key]; });
+    target[keyPath[keyPath.length - 1]] = value;
+
+    const edited = DockerYamlEditor.setIn(text, keyPath, value);
+    assert.deepStrictEqual(parse(edited), expected, `after setIn(${JSON.stringify(keyPath)}, ${JSON.stringify(value)}):\n${edited}`);
+    return edited;
+}
+
+test('empty values get a space after the colon', () => {
+    assert.strictEqual(assertSetIn('image:\n', ['image'], 'nginx:1'), 'image: nginx:1\n');
+    assert.strictEqual(assertSetIn('a:\nb: 1\n', ['a'], 'x'), 'a: x\nb: 1\n');
+});
+
+test('empty values are written before a trailing comment', () => {
+    assert.strictEqual(assertSetIn('a:   # c\nb: 1\n', ['a'], 'x'), 'a: x # c\nb: 1\n');
+    assert.strictEqual(assertSetIn('a: # c\n', ['a'], { b: 1 }), 'a: # c\n  b: 1\n');
+    assert.strictEqual(assertSetIn('l:\n  - # c\n  - 2\n', ['l', 0], 'x'), 'l:\n  - x # c\n  - 2\n');
+});
+
+test('empty values keep their anchor', () => {
+    const edited = DockerYamlEditor.setIn('a: &x # c\nb: *x\n', ['a'], 'v');
+    assert.strictEqual(edited, 'a: &x v # c\nb: *x\n');
+    assert.deepStrictEqual(parse(edited), { a: 'v', b: 'v' });
+});
+
+test('empty sequence items take scalars, mappings and sequences', () => {
+    assertSetIn('l:\n  -\n  - 2\n', ['l', 0], 'x');
+    assertSetIn('l:\n  -\n  - 2\n', ['l', 0], { k: 1, j: 'two' });
+    assertSetIn('l:\n  -\n  - 2\n', ['l', 0], [1, 'b']);
+});
+
+test('comments elsewhere in the document are kept', () => {
+    const text = '# header\nservices:\n  web:  # the app\n    image: a  # pinned\n    restart: always\n';
+    const edited = assertSetIn(text, ['services', 'web', 'image'], 'b');
+    assert.strictEqual(edited, '# header\nservices:\n  web:  # the app\n    image: b  # pinned\n    restart: always\n');
+});
+
+test('deleteIn removes the comments attached to the entry', () => {
+    const text = 'volumes:\n  # cache for web\n  cache:\n  # data\n  data:\n';
+    assert.strictEqual(DockerYamlEditor.deleteIn(text, ['volumes', 'cache']), 'volumes:\n  # data\n  data:\n');
+});
+
+const TRICKY_STRINGS = [
+    '', ' ', 'plain', 'with space', ' leading', 'trailing ', 'say "hi"', "it's", 'back\\slash', 'C:\\path\\to',
+    'two\nlines', 'trailing newline\n', '\n', 'tab\there', 'cr\rhere', 'bell\u0007', 'caf\u00e9',
+    '# not a comment', 'a # b', 'a#b', 'key: value', 'ends with:', '- item', '-dash', '? q', '[flow]', '{map}', 'a, b',
+    '&anchor', '*alias', '!tag', '|', '>', '%', '@', '`', '~', 'null', 'true', 'False', '1', '1.5', '-3', '0777',
+    '80:80', '8080:80/tcp', '${VAR}', '$$'
+];
+
+const STYLES = {
+    plain: 'a: x\n',
+    double: 'a: "x"\n',
+    single: "a: 'x'\n",
+    literal: 'a: |\n  x\n  y\n',
+    flow: 'a: [x, y]\n'
+};
+
+test('strings round-trip whatever the original quoting style', () => {
+    for (const [style, text] of Object.entries(STYLES)) {
+        for (const value of TRICKY_STRINGS) {
+            assertSetIn(text, style === 'flow' ? ['a', 1] : ['a'], value);
+        }
+    }
+});
+
+test('strings round-trip as new keys and sequence items', () => {
+    for (const value of TRICKY_STRINGS) {
+        if (value !== '') assertSetIn('a:\n  x: 1\n', ['a', value], value);
+        assertSetIn('a: { x: 1 }\n', ['a', value || 'k'], value);
+        const inserted = DockerYamlEditor.insertIn('l:\n  - 1\n', ['l'], 0, value);
+        assert.deepStrictEqual(parse(inserted), { l: [value, 1] }, inserted);
+    }
+});
+
+test('nested sequences are written in a form the parser reads', () => {
+    assertSetIn('a: 1\n', ['a'], [[1, 2], ['x', [3]]]);
+    assertSetIn('l:\n  - 1\n  - 2\n', ['l', 1], [['a', 'b'], { k: [1] }]);
+    const inserted = DockerYamlEditor.insertIn('l:\n  - 1\n', ['l'], 1, [1, 'two']);
+    assert.deepStrictEqual(parse(inserted), { l: [1, [1, 'two']] });
+});
+
+test('quoted scalars are unescaped when parsed', () => {
+    assert.deepStrictEqual(parse('a: "x\\ny\\"z\\u00e9\\\\"\nb: \'it\'\'s\'\n"k\\tq": 1\nc: ["a\\tb"]\n'), {
+        a: 'x\ny"z\u00e9\\',
+        b: "it's",
+        'k\tq': 1,
+        c: ['a\tb']
+    });
+});
+
+test('quoted keys work as the first key of a sequence item', () => {
+    assert.deepStrictEqual(parse('l:\n  - "k": 1\n    j: 2\n  - "x: y"\n'), { l: [{ k: 1, j: 2 }, 'x: y'] });
+});
+
+test('edits go to the document that holds the path', () => {
+    const text = 'services:\n  web:\n    image: a\n---\nservices:\n  db:\n    image: b\n';
+    assert.strictEqual(
+        DockerYamlEditor.setIn(text, ['services', 'db', 'image'], 'z'),
+        'services:\n  web:\n    image: a\n---\nservices:\n  db:\n    image: z\n'
+    );
+    // A path no document holds goes to the first, or to the one asked for
+    assert.strictEqual(
+        DockerYamlEditor.setIn(text, ['volumes', 'v'], 'x'),
+        'services:\n  web:\n    image: a\nvolumes:\n  v: x\n---\nservices:\n  db:\n    image: b\n'
+    );
+    assert.strictEqual(
+        DockerYamlEditor.setIn(text, ['volumes', 'v'], 'x', 1),
+        'services:\n  web:\n    image: a\n---\nservices:\n  db:\n    image: b\nvolumes:\n  v: x\n'
+    );
+    assert.throws(() => DockerYamlEditor.setIn(text, ['a'], 1, 2), /Document 2 does not exist/);
+});
+
+test('numbers with a leading 0 or 0o are octal, as Compose reads them', () => {
+    assert.deepStrictEqual(parse('a: 0440\nb: 0o440\nc: 440\nd: 0\ne: 089\n'), { a: 288, b: 288, c: 440, d: 0, e: 89 });
+    assert.strictEqual(DockerYamlEditor.setIn('a: 1\n', ['a'], '0440'), 'a: "0440"\n');
+});
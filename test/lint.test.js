@@ -0,0 +1,120 @@
+'use strict';
+
+// Tests for the docker-yaml-lint command: what it prints and its exit codes.
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CLI = path.join(__dirname, '..', 'docker-yaml-lint');
+
+const FILES = {
+    'clean.yml': 'services:\n  web:\n    image: nginx:1.25\n    healthcheck:\n      test: ["CMD", "true"]\n',
+    // Two warnings: no healthcheck and no image tag
+    'warnings.yml': 'services:\n  web:\n    image: nginx\n',
+    'bare.yml': 'just words\n',
+    'deploy/docker-compose.yml': 'services:\n  web:\n    image: nginx\n',
+    'deploy/notes.yml': 'just words\n'
+};
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'docker-yaml-lint-'));
+for (const [name, text] of Object.entries(FILES)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), text);
+}
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function lint(...args) {
+    const result = spawnSync(process.execPath, [CLI, ...args], { cwd: dir, encoding: 'utf8' });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+test('clean files exit with 0 and print nothing', () => {
+    assert.deepStrictEqual(lint('clean.yml'), { status: 0, stdout: '', stderr: '' });
+});
+
+test('warnings alone exit with 0', () => {
+    const { status, stdout } = lint('warnings.yml');
+    assert.strictEqual(status, 0);
+    assert.match(stdout, /^warnings\.yml:3:12: warning: .* \(image-latest\)$/m);
+    assert.match(stdout, /^2 problems \(0 errors, 2 warnings\) in 1 file$/m);
+});
+
+test('a bare word is a syntax error and exits with 1', () => {
+    const { status, stdout } = lint('bare.yml');
+    assert.strictEqual(status, 1);
+    assert.match(stdout, /^bare\.yml:1:1: error: Invalid YAML syntax \(yaml-syntax\)$/m);
+    assert.match(stdout, /^1 problem \(1 error, 0 warnings\) in 1 file$/m);
+});
+
+test('--quiet hides warnings but still prints errors', () => {
+    const { status, stdout } = lint('--quiet', 'bare.yml', 'warnings.yml');
+    assert.strictEqual(status, 1);
+    assert.match(stdout, /bare\.yml:1:1: error: Invalid YAML syntax/);
+    assert.doesNotMatch(stdout, /warning:/);
+});
+
+test('--max-warnings fails when there are more warnings', () => {
+    assert.strictEqual(lint('--max-warnings', '2', 'warnings.yml').status, 0);
+    const { status, stdout } = lint('--max-warnings', '1', 'warnings.yml');
+    assert.strictEqual(status, 1);
+    assert.match(stdout, /^Too many warnings \(maximum: 1\)$/m);
+    // Warnings hidden by --quiet still count
+    assert.strictEqual(lint('--quiet', '--max-warnings=0', 'warnings.yml').status, 1);
+});
+
+test('--rule changes the severity', () => {
+    const { status, stdout } = lint('--rule', 'image-latest=error', 'warnings.yml');
+    assert.strictEqual(status, 1);
+    assert.match(stdout, /warnings\.yml:3:12: error: .* \(image-latest\)/);
+    assert.strictEqual(lint('--rule', 'yaml-syntax=off', 'bare.yml').status, 0);
+});
+
+test('usage and I/O errors exit with 2', () => {
+    for (const args of [[], ['--bogus', 'clean.yml'], ['--max-warnings', 'x', 'clean.yml'], ['--format', 'xml', 'clean.yml'],
+        ['--target'], ['--target', 'swarm', 'clean.yml'], ['missing.yml'], ['nothing/*.yml']]) {
+        const { status, stdout, stderr } = lint(...args);
+        assert.strictEqual(status, 2, `docker-yaml-lint ${args.join(' ')}`);
+        assert.strictEqual(stdout, '');
+        assert.match(stderr, /^docker-yaml-lint: /);
+    }
+    assert.strictEqual(lint('--help').status, 0);
+});
+
+test('directories are searched for compose files', () => {
+    const { status, stdout } = lint('deploy');
+    assert.strictEqual(status, 0);
+    assert.match(stdout, /in 1 file$/m);
+    assert.match(stdout, new RegExp(`^${path.join('deploy', 'docker-compose.yml').replace(/\\/g, '\\\\')}:3:12:`, 'm'));
+});
+
+test('globs match files below their directory', () => {
+    const { status, stdout } = lint('**/*.yml', '--quiet');
+    assert.strictEqual(status, 1);
+    assert.match(stdout, /in 5 files$/m);
+});
+
+test('--format json reports every diagnostic with a summary', () => {
+    const { status, stdout } = lint('--format', 'json', 'bare.yml', 'warnings.yml');
+    assert.strictEqual(status, 1);
+    const report = JSON.parse(stdout);
+    assert.deepStrictEqual(report.files, ['bare.yml', 'warnings.yml']);
+    assert.deepStrictEqual(report.summary, { errors: 1, warnings: 2 });
+    assert.deepStrictEqual(
+        report.diagnostics.map(diagnostic => [diagnostic.file, diagnostic.line, diagnostic.severity, diagnostic.rule]),
+        [['bare.yml', 1, 'error', 'yaml-syntax'], ['warnings.yml', 2, 'warning', 'require-healthcheck'], ['warnings.yml', 3, 'warning', 'image-latest']]
+    );
+});
+
+test('--output writes the report to a file', () => {
+    const output = path.join(dir, 'report.sarif');
+    const { status, stdout } = lint('--format', 'sarif', '-o', output, 'bare.yml');
+    assert.strictEqual(status, 1);
+    assert.strictEqual(stdout, '');
+    const sarif = JSON.parse(fs.readFileSync(output, 'utf8'));
+    assert.strictEqual(sarif.runs[0].results[0].ruleId, 'yaml-syntax');
+});